@@ -0,0 +1,101 @@
+// Bans shared by Bot Maker and created bots: the stored ban, its history and how admins enter it
+const mongoose = require('mongoose');
+
+// Current ban of a user; isBlocked stays the flag that queries filter on
+const BanSchema = new mongoose.Schema({
+  reason: { type: String },
+  until: { type: Number }, // Unset for permanent bans
+  issuedBy: { type: String, required: true },
+  issuedAt: { type: Number, default: () => Math.floor(Date.now() / 1000) },
+  global: { type: Boolean, default: false }, // Issued by the owner for Bot Maker and every created bot
+}, { _id: false });
+
+// Ban history of Bot Maker and of created bots
+const BanRecordSchema = new mongoose.Schema({
+  botToken: { type: String }, // Bot.botId, unset for Bot Maker and global bans
+  userId: { type: String, required: true },
+  action: { type: String, required: true }, // ban, unban or expired
+  reason: { type: String },
+  until: { type: Number },
+  global: { type: Boolean },
+  issuedBy: { type: String }, // Unset for expired bans
+  createdAt: { type: Number, default: () => Math.floor(Date.now() / 1000) },
+});
+
+BanRecordSchema.index({ userId: 1, botToken: 1, createdAt: -1 });
+
+const BanRecord = mongoose.model('BanRecord', BanRecordSchema);
+
+const BAN_DURATION_UNITS = { m: 60, h: 3600, d: 86400, w: 604800 };
+
+const BAN_DETAILS_PROMPT = 'Send the ban duration, optionally followed by the reason, e.g. "7d Spamming" or "permanent Scam links".\n' +
+                           'Durations: 30m, 12h, 7d, 2w or permanent.';
+
+const banDetailsKeyboard = {
+  reply_markup: {
+    keyboard: [[{ text: '1h' }, { text: '1d' }, { text: '7d' }, { text: '30d' }], [{ text: 'permanent' }], [{ text: 'Cancel' }]],
+    resize_keyboard: true,
+  },
+};
+
+// Returns the duration in seconds, null for permanent bans or undefined if it isn't valid
+const parseBanDuration = (input) => {
+  if (/^permanent$/i.test(input)) return null;
+  const [, amount, unit] = String(input).match(/^(\d{1,4})([mhdw])$/i) || [];
+  const seconds = amount ? Number(amount) * BAN_DURATION_UNITS[unit.toLowerCase()] : 0;
+  return seconds > 0 ? seconds : undefined;
+};
+
+// Parses "<duration> [reason]" as entered after the ban prompt
+const parseBanDetails = (text) => {
+  const [, durationInput, reason] = (text || '').trim().match(/^(\S+)(?:\s+([\s\S]+))?$/) || [];
+  const duration = durationInput ? parseBanDuration(durationInput) : undefined;
+  return duration === undefined ? null : { duration, reason: reason?.trim().slice(0, 200) };
+};
+
+const formatDuration = (seconds) => {
+  if (seconds >= 86400) return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
+  if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  return `${Math.max(1, Math.ceil(seconds / 60))}m`;
+};
+
+const getBanNotice = (user) => {
+  let notice = '🚫 You have been banned by the admin.';
+  if (user?.ban?.reason) notice += `\n📝 Reason: ${user.ban.reason}`;
+  if (user?.ban?.until) notice += `\n⏳ Time left: ${formatDuration(user.ban.until - Math.floor(Date.now() / 1000))}`;
+  return notice;
+};
+
+const formatBanRecord = (record) => {
+  const date = new Date(record.createdAt * 1000).toISOString().slice(0, 16).replace('T', ' ');
+  if (record.action === 'expired') return `⌛ ${date} UTC: Ban expired`;
+  if (record.action === 'unban') return `🔓 ${date} UTC: Unbanned by ${record.issuedBy}`;
+  return `⛔ ${date} UTC: ${record.global ? 'Banned everywhere by the Bot Maker owner' : `Banned by ${record.issuedBy}`}, ` +
+         `${record.until ? `for ${formatDuration(record.until - record.createdAt)}` : 'permanently'}` +
+         `${record.reason ? `\n   📝 ${record.reason}` : ''}`;
+};
+
+// Bans with a duration are lifted on the user's first interaction after they run out.
+// Model is User in Bot Maker or BotUser in created bots; returns whether a ban was lifted.
+const liftExpiredBan = async (Model, filter, botToken) => {
+  const user = await Model.findOneAndUpdate(
+    { ...filter, isBlocked: true, 'ban.until': { $lte: Math.floor(Date.now() / 1000) } },
+    { isBlocked: false, $unset: { ban: 1 } }
+  );
+  if (!user) return false;
+  await BanRecord.create({ botToken, userId: user.userId, action: 'expired', reason: user.ban.reason, until: user.ban.until });
+  return true;
+};
+
+module.exports = {
+  BanSchema,
+  BanRecord,
+  BAN_DETAILS_PROMPT,
+  banDetailsKeyboard,
+  parseBanDuration,
+  parseBanDetails,
+  formatDuration,
+  getBanNotice,
+  formatBanRecord,
+  liftExpiredBan,
+};
@@ -0,0 +1,218 @@
+// Broadcast queue shared by Bot Maker and created bots. Both build drafts and schedules the
+// same way; the worker in maker.js sends every job.
+const mongoose = require('mongoose');
+const axios = require('axios');
+
+const WEBHOOK_BASE_URL = process.env.WEBHOOK_BASE_URL || 'https://vidsc-two.vercel.app';
+const CRON_SECRET = process.env.CRON_SECRET;
+
+const BroadcastJobSchema = new mongoose.Schema({
+  scope: { type: String, required: true }, // 'user' (Bot Maker users), 'sub' (all created bots) or 'bot' (one created bot)
+  botToken: { type: String }, // Bot.botId of the sending bot for 'bot' scope
+  adminId: { type: String, required: true },
+  fromChatId: { type: String }, // Chat the broadcast content is copied from
+  messageIds: { type: [Number], default: [] }, // Several IDs for an album
+  mediaGroupId: { type: String },
+  buttons: { type: mongoose.Schema.Types.Mixed }, // Inline keyboard rows of URL buttons
+  message: { type: mongoose.Schema.Types.Mixed }, // Text and entities of 'sub' and API broadcasts, which can't be copied
+  status: { type: String, default: 'draft' }, // draft, scheduled, starting, running, paused, cancelled or completed
+  scheduledAt: { type: Date },
+  repeat: { type: String, default: 'none' }, // none, daily or weekly
+  total: { type: Number, default: 0 },
+  sentCount: { type: Number, default: 0 },
+  failCount: { type: Number, default: 0 },
+  progressMessageId: { type: Number },
+  lockedUntil: { type: Date, default: () => new Date(0) }, // Held by the worker processing the job
+  nextRunAt: { type: Date, default: () => new Date(0) }, // Delayed by rate limits and retries
+  createdAt: { type: Number, default: () => Math.floor(Date.now() / 1000) },
+  finishedAt: { type: Number },
+});
+
+BroadcastJobSchema.index({ status: 1, nextRunAt: 1 });
+BroadcastJobSchema.index({ status: 1, scheduledAt: 1 });
+// Album parts arrive as separate updates; this keeps them in a single draft
+BroadcastJobSchema.index(
+  { adminId: 1, mediaGroupId: 1 },
+  { unique: true, partialFilterExpression: { status: 'draft', mediaGroupId: { $type: 'string' } } }
+);
+
+const BroadcastRecipientSchema = new mongoose.Schema({
+  jobId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  userId: { type: String, required: true },
+  botToken: { type: String }, // Bot.botId of the sending bot, unset for the maker bot
+  status: { type: String, default: 'pending' }, // pending, sent or failed
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: () => new Date(0) },
+  error: { type: String },
+});
+
+BroadcastRecipientSchema.index({ jobId: 1, status: 1, nextAttemptAt: 1 });
+
+const BroadcastJob = mongoose.model('BroadcastJob', BroadcastJobSchema);
+const BroadcastRecipient = mongoose.model('BroadcastRecipient', BroadcastRecipientSchema);
+
+// Parses URL buttons, one row per line and buttons in a row separated by |
+// e.g. "Site - https://example.com | Channel - https://t.me/example"
+const parseUrlButtons = (text) => {
+  const rows = text.split('\n').map((line) => line.trim()).filter(Boolean).map((line) => line.split('|').map((part) => {
+    const match = part.trim().match(/^(.+?)\s+-\s+((?:https?|tg):\/\/\S+)$/i);
+    return match ? { text: match[1].trim(), url: match[2] } : null;
+  }));
+  return rows.length > 0 && rows.every((row) => row.every(Boolean)) ? rows : null;
+};
+
+const broadcastBuilderPrompt = '🔘 Add URL buttons (optional): send one button per line as\n' +
+                               'Text - https://example.com\n' +
+                               'Put several buttons on one row with |, e.g.\n' +
+                               'Site - https://example.com | Channel - https://t.me/example\n\n' +
+                               'Tap ✅ Send Now when ready. Keep the original message until the broadcast finishes.';
+
+// Stores content the admin sends as the current broadcast draft. Returns the draft and whether it
+// was just created; later parts of an album are added to the existing draft.
+const saveBroadcastDraft = async ({ scope, adminId, botToken = null, message }) => {
+  if (message.media_group_id) {
+    await BroadcastJob.deleteMany({ adminId, botToken, status: 'draft', mediaGroupId: { $ne: message.media_group_id } });
+    const upsertAlbum = () => BroadcastJob.findOneAndUpdate(
+      { adminId, botToken, status: 'draft', mediaGroupId: message.media_group_id },
+      {
+        $push: { messageIds: message.message_id },
+        $setOnInsert: { scope, fromChatId: String(message.chat.id) },
+      },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+    let result;
+    try {
+      result = await upsertAlbum();
+    } catch (error) {
+      // Another part of the album created the draft at the same time
+      if (error.code !== 11000) throw error;
+      result = await upsertAlbum();
+    }
+    return { draft: result.value, isNew: !result.lastErrorObject?.updatedExisting };
+  }
+
+  await BroadcastJob.deleteMany({ adminId, botToken, status: 'draft' });
+  const draft = await BroadcastJob.create(scope === 'sub'
+    ? { scope, adminId, botToken, message: { text: message.text, entities: message.entities } }
+    : { scope, adminId, botToken, fromChatId: String(message.chat.id), messageIds: [message.message_id] });
+  return { draft, isNew: true };
+};
+
+const buildBroadcastProgress = (job) => {
+  const done = job.sentCount + job.failCount;
+  const percent = job.total ? Math.floor((done / job.total) * 100) : 100;
+  const filled = Math.round(percent / 10);
+  const titles = {
+    running: '📢 Broadcast in progress...',
+    paused: '⏸ Broadcast paused',
+    cancelled: '🛑 Broadcast cancelled',
+    completed: '✅ Broadcast completed!',
+  };
+
+  const text = `${titles[job.status]}\n\n` +
+               `${'▓'.repeat(filled)}${'░'.repeat(10 - filled)} ${percent}%\n` +
+               `✅ Sent: ${job.sentCount}\n` +
+               `❌ Failed: ${job.failCount}\n` +
+               `⏳ Pending: ${Math.max(job.total - done, 0)}`;
+
+  const buttons = [];
+  if (job.status === 'running') buttons.push({ text: '⏸ Pause', callback_data: `bc:pause:${job._id}` });
+  if (job.status === 'paused') buttons.push({ text: '▶️ Resume', callback_data: `bc:resume:${job._id}` });
+  if (['running', 'paused'].includes(job.status)) buttons.push({ text: '🛑 Cancel', callback_data: `bc:cancel:${job._id}` });
+
+  return { text, extra: { reply_markup: { inline_keyboard: buttons.length ? [buttons] : [] } } };
+};
+
+// Starts a worker run in a separate invocation. We don't wait for it to finish; if the call
+// doesn't get through, the cron schedule in vercel.json picks the job up within a minute.
+const triggerBroadcastWorker = () => axios.get(`${WEBHOOK_BASE_URL}/broadcast-worker`, {
+  headers: CRON_SECRET ? { Authorization: `Bearer ${CRON_SECRET}` } : {},
+  timeout: 1500,
+}).catch(() => {});
+
+const REPEAT_INTERVALS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+
+const formatUtcOffset = (offset) => {
+  const sign = offset < 0 ? '-' : '+';
+  const minutes = Math.abs(offset);
+  return `UTC${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const formatScheduleTime = (date, offset) => new Date(date.getTime() + offset * 60000).toISOString().slice(0, 16).replace('T', ' ');
+
+// allowRepeat is false when the plan of the bot's creator has no repeating broadcasts
+const getSchedulePrompt = (offset, allowRepeat = true) => `🕒 Send the date and time for this broadcast (${formatUtcOffset(offset)}):\n` +
+  `2025-01-31 18:30\n\n` +
+  (allowRepeat
+    ? `Add daily or weekly to repeat it, and a UTC offset to change your timezone, e.g.\n2025-01-31 18:30 weekly +03:30`
+    : `Add a UTC offset to change your timezone, e.g.\n2025-01-31 18:30 +03:30`);
+
+// Parses "YYYY-MM-DD HH:MM [daily|weekly] [+HH:MM]" in the admin's timezone (offset in minutes)
+const parseSchedule = (text, defaultOffset) => {
+  const [date, time, ...options] = (text || '').trim().split(/\s+/);
+  const dateMatch = date?.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const timeMatch = time?.match(/^(\d{1,2}):(\d{2})$/);
+  if (!dateMatch || !timeMatch) return null;
+
+  let repeat = 'none';
+  let offset = defaultOffset;
+  for (const option of options) {
+    const offsetMatch = option.match(/^(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+    if (REPEAT_INTERVALS[option.toLowerCase()]) {
+      repeat = option.toLowerCase();
+    } else if (offsetMatch) {
+      offset = (offsetMatch[1] === '-' ? -1 : 1) * (Number(offsetMatch[2]) * 60 + Number(offsetMatch[3] || 0));
+      if (Math.abs(offset) > 14 * 60) return null;
+    } else {
+      return null;
+    }
+  }
+
+  const [year, month, day] = dateMatch.slice(1).map(Number);
+  const [hours, minutes] = timeMatch.slice(1).map(Number);
+  const local = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+  if (local.getUTCMonth() !== month - 1 || local.getUTCDate() !== day || hours > 23 || minutes > 59) return null;
+
+  return { scheduledAt: new Date(local.getTime() - offset * 60000), repeat, offset };
+};
+
+const SCHEDULE_AUDIENCES = { user: 'Bot Maker users', sub: 'created bot users', bot: 'your users' };
+
+const buildScheduledList = (jobs, offset) => {
+  if (jobs.length === 0) {
+    return { text: '🗓 No scheduled broadcasts.', extra: {} };
+  }
+
+  let text = `🗓 Scheduled Broadcasts (${formatUtcOffset(offset)})\n\n`;
+  const inlineKeyboard = [];
+  jobs.forEach((job, index) => {
+    const content = job.message?.text
+      ? `"${job.message.text.slice(0, 30)}${job.message.text.length > 30 ? '…' : ''}"`
+      : job.messageIds.length > 1 ? `album of ${job.messageIds.length}` : 'message';
+    text += `${index + 1}. ${formatScheduleTime(job.scheduledAt, offset)}` +
+            `${job.repeat !== 'none' ? `, repeats ${job.repeat}` : ''}\n` +
+            `   ${content} to ${SCHEDULE_AUDIENCES[job.scope]}\n`;
+    inlineKeyboard.push([
+      { text: `✏️ Edit #${index + 1}`, callback_data: `sch:edit:${job._id}` },
+      { text: `❌ Cancel #${index + 1}`, callback_data: `sch:cancel:${job._id}` },
+    ]);
+  });
+
+  return { text, extra: { reply_markup: { inline_keyboard: inlineKeyboard } } };
+};
+
+module.exports = {
+  BroadcastJob,
+  BroadcastRecipient,
+  parseUrlButtons,
+  broadcastBuilderPrompt,
+  saveBroadcastDraft,
+  buildBroadcastProgress,
+  triggerBroadcastWorker,
+  REPEAT_INTERVALS,
+  formatUtcOffset,
+  formatScheduleTime,
+  getSchedulePrompt,
+  parseSchedule,
+  buildScheduledList,
+};
@@ -1,14 +1,35 @@
 const { Telegraf } = require('telegraf');
 const mongoose = require('mongoose');
+const axios = require('axios');
+const crypto = require('crypto');
+const vm = require('vm');
+const { templates, DEFAULT_TEMPLATE, getTemplate } = require('./templates');
+const { getSharedFileFromMessage } = require('./templates/files');
+const { handleCreatorReply, buildSupportControls } = require('./templates/support');
+const { getTier, getBroadcastLimit } = require('./tiers');
+const {
+  BroadcastJob, BroadcastRecipient, parseUrlButtons, broadcastBuilderPrompt, saveBroadcastDraft, buildBroadcastProgress,
+  triggerBroadcastWorker, formatUtcOffset, formatScheduleTime, getSchedulePrompt, parseSchedule, buildScheduledList,
+} = require('./broadcasts');
+const {
+  BanSchema, BanRecord, BAN_DETAILS_PROMPT, banDetailsKeyboard, parseBanDetails, formatDuration, getBanNotice,
+  formatBanRecord, liftExpiredBan,
+} = require('./bans');
 
 // MongoDB Connection
 const MONGO_URI = process.env.MONGO_URI;
+const TOKEN_ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY;
+const WEBHOOK_BASE_URL = process.env.WEBHOOK_BASE_URL || 'https://vidsc-two.vercel.app';
 
-if (!MONGO_URI) {
-  console.error('Missing MONGO_URI environment variable');
+if (!MONGO_URI || !TOKEN_ENCRYPTION_KEY) {
+  console.error('Missing environment variables: MONGO_URI or TOKEN_ENCRYPTION_KEY');
   process.exit(1);
 }
 
+// Must match the keys derived in maker.js
+const tokenCipherKey = Buffer.from(crypto.hkdfSync('sha256', TOKEN_ENCRYPTION_KEY, '', 'bot-token-encryption', 32));
+const tokenHashKey = Buffer.from(crypto.hkdfSync('sha256', TOKEN_ENCRYPTION_KEY, '', 'bot-token-hash', 32));
+
 mongoose.connect(MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
   .then(() => console.log('Connected to MongoDB'))
   .catch((err) => {
@@ -18,50 +39,251 @@ mongoose.connect(MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
 
 // MongoDB Models
 const BotSchema = new mongoose.Schema({
-  token: { type: String, required: true, unique: true },
+  tokenHash: { type: String, required: true, unique: true },
+  tokenEncrypted: { type: String, required: true },
+  token: { type: String }, // Plaintext token of bots not migrated by /migrate_tokens yet
+  botId: { type: String, unique: true, sparse: true }, // Telegram ID of the bot; its records are keyed by it
   username: { type: String, required: true },
   creatorId: { type: String, required: true },
   createdAt: { type: Number, default: () => Math.floor(Date.now() / 1000) },
+  webhookId: { type: String, unique: true, sparse: true },
+  webhookSecret: { type: String },
+  template: { type: String, default: DEFAULT_TEMPLATE }, // Behavior after the join gate, see templates/
+  notifyAdmins: { type: Boolean, default: false }, // Send new-user notifications to co-admins too
+  buttonLabels: { // Custom labels of the join keyboard
+    join: { type: String },
+    joined: { type: String },
+  },
 });
 
 const BotUserSchema = new mongoose.Schema({
-  botToken: { type: String, required: true },
+  botToken: { type: String, required: true }, // Bot.botId
   userId: { type: String, required: true },
   hasJoined: { type: Boolean, default: false },
   userStep: { type: String, default: 'none' },
   adminState: { type: String, default: 'none' },
   lastInteraction: { type: Number, default: () => Math.floor(Date.now() / 1000) },
+  joinedAt: { type: Number }, // When the user passed the join gate
   isBlocked: { type: Boolean, default: false },
+  ban: { type: BanSchema },
   username: { type: String },
-  referredBy: { type: String, default: 'None' },
+  referredBy: { type: String, default: 'None' }, // /start payload; a user ID for referral links
+  referralCount: { type: Number, default: 0 }, // Referred users who passed the join gate
+  referralCredited: { type: Boolean, default: false }, // Whether the referrer got credit for this user
   isFirstStart: { type: Boolean, default: true }, // Added to track first start
+  adminTarget: { type: String }, // What the current admin state applies to (e.g. a channel index)
+  userSearch: { type: String }, // Current 👥 Users search, kept while paging through results
+  timezone: { type: Number, default: 0 }, // UTC offset in minutes, used for scheduling
+  isActive: { type: Boolean, default: true }, // False once the user blocked the bot or deleted their account
+  inactiveReason: { type: String }, // blocked, deactivated or forbidden
+  inactiveAt: { type: Number },
+  supportStatus: { type: String, default: 'closed' }, // Support relay conversation: open or closed
+  supportMuted: { type: Boolean, default: false }, // Relayed without notifying the creator
 });
 
 BotUserSchema.index({ botToken: 1, userId: 1 }, { unique: true });
 BotUserSchema.index({ botToken: 1, hasJoined: 1 });
+BotUserSchema.index({ botToken: 1, referralCount: -1 });
+BotUserSchema.index({ botToken: 1, lastInteraction: -1 });
+
+const ChannelSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  chatId: { type: String }, // Numeric channel ID, needed to verify private channels
+}, { _id: false });
 
 const ChannelUrlSchema = new mongoose.Schema({
-  botToken: { type: String, required: true, unique: true },
-  url: { type: String, default: 'https://t.me/Kali_Linux_BOTS' },
+  botToken: { type: String, required: true, unique: true }, // Bot.botId
+  url: { type: String }, // Legacy single channel, moved into channels on next save
+  chatId: { type: String },
+  channels: { type: [ChannelSchema], default: [] },
+});
+
+// Content of the FAQ and File Sharing templates; kept when switching templates
+const FaqEntrySchema = new mongoose.Schema({
+  botToken: { type: String, required: true }, // Bot.botId
+  question: { type: String, required: true },
+  answer: { type: String, required: true },
+  entities: { type: mongoose.Schema.Types.Mixed }, // Formatting of the answer
+  createdAt: { type: Number, default: () => Math.floor(Date.now() / 1000) },
+});
+
+FaqEntrySchema.index({ botToken: 1, createdAt: 1 });
+
+const SharedFileSchema = new mongoose.Schema({
+  botToken: { type: String, required: true }, // Bot.botId
+  code: { type: String, required: true }, // Sent by users to receive the file
+  fileType: { type: String, required: true }, // photo, document, video, audio or voice
+  fileId: { type: String, required: true },
+  caption: { type: String },
+  createdAt: { type: Number, default: () => Math.floor(Date.now() / 1000) },
+});
+
+SharedFileSchema.index({ botToken: 1, code: 1 }, { unique: true });
+
+// Custom welcome, join prompt and post-join messages, see getMessageContent
+const BotMessageSchema = new mongoose.Schema({
+  botToken: { type: String, required: true }, // Bot.botId
+  key: { type: String, required: true }, // welcome, join_prompt or post_join
+  content: { type: mongoose.Schema.Types.Mixed, required: true },
+});
+
+BotMessageSchema.index({ botToken: 1, key: 1 }, { unique: true });
+
+// Custom /commands, registered with Telegram through setMyCommands
+const BotCommandSchema = new mongoose.Schema({
+  botToken: { type: String, required: true }, // Bot.botId
+  command: { type: String, required: true }, // Without the leading slash
+  description: { type: String, required: true },
+  content: { type: mongoose.Schema.Types.Mixed, required: true },
+  createdAt: { type: Number, default: () => Math.floor(Date.now() / 1000) },
+});
+
+BotCommandSchema.index({ botToken: 1, command: 1 }, { unique: true });
+
+// Auto-reply rules, checked before the template handles a regular message
+const AutoReplySchema = new mongoose.Schema({
+  botToken: { type: String, required: true }, // Bot.botId
+  matchType: { type: String, required: true }, // exact, contains or regex
+  trigger: { type: String, required: true },
+  content: { type: mongoose.Schema.Types.Mixed, required: true }, // See getMessageContent
+  cooldown: { type: Number, default: 0 }, // Seconds before the rule answers the same user again
+  priority: { type: Number, default: 0 }, // Higher priorities are checked first
+  createdAt: { type: Number, default: () => Math.floor(Date.now() / 1000) },
+});
+
+AutoReplySchema.index({ botToken: 1, priority: -1 });
+
+const AutoReplyCooldownSchema = new mongoose.Schema({
+  botToken: { type: String, required: true }, // Bot.botId
+  ruleId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  userId: { type: String, required: true },
+  until: { type: Date, required: true },
+});
+
+AutoReplyCooldownSchema.index({ ruleId: 1, userId: 1 }, { unique: true });
+AutoReplyCooldownSchema.index({ until: 1 }, { expireAfterSeconds: 0 });
+
+// Daily counters behind the statistics report, one document per bot and UTC day
+const BotDailyStatSchema = new mongoose.Schema({
+  botToken: { type: String, required: true }, // Bot.botId
+  day: { type: String, required: true }, // YYYY-MM-DD
+  newUsers: { type: Number, default: 0 },
+  joinedUsers: { type: Number, default: 0 }, // Passed the join gate
+  activeUsers: { type: Number, default: 0 }, // Interacted at least once that day
+  blockedUsers: { type: Number, default: 0 },
+  sources: { type: Map, of: Number, default: {} }, // New users per /start payload
+});
+
+BotDailyStatSchema.index({ botToken: 1, day: 1 }, { unique: true });
+
+// Co-admins of a created bot, see ADMIN_ROLES
+const BotAdminSchema = new mongoose.Schema({
+  botToken: { type: String, required: true }, // Bot.botId
+  userId: { type: String, required: true },
+  role: { type: String, required: true }, // broadcaster, moderator or admin
+  username: { type: String },
+  addedBy: { type: String },
+  createdAt: { type: Number, default: () => Math.floor(Date.now() / 1000) },
+});
+
+BotAdminSchema.index({ botToken: 1, userId: 1 }, { unique: true });
+
+// Single-use links that make whoever opens them a co-admin
+const BotAdminInviteSchema = new mongoose.Schema({
+  botToken: { type: String, required: true }, // Bot.botId
+  code: { type: String, required: true, unique: true },
+  role: { type: String, required: true },
+  createdBy: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+});
+
+BotAdminInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Messages sent to referrers when they reach a number of referrals
+const ReferralMilestoneSchema = new mongoose.Schema({
+  botToken: { type: String, required: true }, // Bot.botId
+  count: { type: Number, required: true },
+  content: { type: mongoose.Schema.Types.Mixed, required: true }, // See getMessageContent
+});
+
+ReferralMilestoneSchema.index({ botToken: 1, count: 1 }, { unique: true });
+
+// Messages relayed to the creator by the Support template, so replies find their user
+const SupportMessageSchema = new mongoose.Schema({
+  botToken: { type: String, required: true }, // Bot.botId
+  userId: { type: String, required: true },
+  messageId: { type: Number, required: true }, // In the creator's chat
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 90 },
+});
+
+SupportMessageSchema.index({ botToken: 1, messageId: 1 });
+
+// Bot Maker users; only the plan of the creator and global bans are needed here
+const MakerUserSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  tier: { type: String },
+  isBlocked: { type: Boolean },
+  ban: { type: BanSchema },
 });
 
 const Bot = mongoose.model('Bot', BotSchema);
+const MakerUser = mongoose.model('User', MakerUserSchema);
 const BotUser = mongoose.model('BotUser', BotUserSchema);
 const ChannelUrl = mongoose.model('ChannelUrl', ChannelUrlSchema);
+const FaqEntry = mongoose.model('FaqEntry', FaqEntrySchema);
+const SharedFile = mongoose.model('SharedFile', SharedFileSchema);
+const SupportMessage = mongoose.model('SupportMessage', SupportMessageSchema);
+const BotMessage = mongoose.model('BotMessage', BotMessageSchema);
+const BotCommand = mongoose.model('BotCommand', BotCommandSchema);
+const AutoReply = mongoose.model('AutoReply', AutoReplySchema);
+const AutoReplyCooldown = mongoose.model('AutoReplyCooldown', AutoReplyCooldownSchema);
+const ReferralMilestone = mongoose.model('ReferralMilestone', ReferralMilestoneSchema);
+const BotAdmin = mongoose.model('BotAdmin', BotAdminSchema);
+const BotDailyStat = mongoose.model('BotDailyStat', BotDailyStatSchema);
+const BotAdminInvite = mongoose.model('BotAdminInvite', BotAdminInviteSchema);
 
-// Admin Panel Keyboard
-const adminPanel = {
+// Co-admin roles; the creator has every permission, including managing admins
+const ADMIN_ROLES = {
+  broadcaster: { name: '📢 Broadcaster', description: 'statistics and broadcasts', permissions: ['stats', 'broadcast'] },
+  moderator: { name: '🛡 Moderator', description: 'statistics and blocking users', permissions: ['stats', 'moderate'] },
+  admin: { name: '⭐ Admin', description: 'everything except managing admins', permissions: ['stats', 'broadcast', 'moderate', 'settings'] },
+};
+
+const OWNER_PERMISSIONS = ['stats', 'broadcast', 'moderate', 'settings', 'admins'];
+
+// Admin Panel Keyboard, with the permission each button needs
+const ADMIN_PANEL_ROWS = [
+  [{ text: '📊 Statistics', permission: 'stats' }],
+  [{ text: '📍 Broadcast', permission: 'broadcast' }],
+  [{ text: '🗓 Scheduled', permission: 'broadcast' }],
+  [{ text: '🔗 Manage Channels', permission: 'settings' }],
+  [{ text: '🧩 Template', permission: 'settings' }],
+  [{ text: '✏️ Edit Messages', permission: 'settings' }, { text: '⌨️ Commands', permission: 'settings' }],
+  [{ text: '🤖 Auto Replies', permission: 'settings' }, { text: '🏆 Top Referrers', permission: 'stats' }],
+  [{ text: '📤 Export Users', permission: 'settings' }, { text: '📥 Import Users', permission: 'settings' }],
+  [{ text: '👥 Admins', permission: 'admins' }, { text: '👥 Users', permission: 'moderate' }],
+  [{ text: '🚫 Block', permission: 'moderate' }],
+  [{ text: '🔓 Unlock', permission: 'moderate' }],
+];
+
+const buildAdminPanel = (permissions) => ({
   reply_markup: {
     keyboard: [
-      [{ text: '📊 Statistics' }],
-      [{ text: '📍 Broadcast' }],
-      [{ text: '🔗 Set Channel URL' }],
-      [{ text: '🚫 Block' }],
-      [{ text: '🔓 Unlock' }],
+      ...ADMIN_PANEL_ROWS
+        .map((row) => row.filter((button) => permissions.includes(button.permission)).map(({ text }) => ({ text })))
+        .filter((row) => row.length > 0),
       [{ text: '↩️ Back' }],
     ],
     resize_keyboard: true,
   },
+});
+
+// Broadcast Builder Keyboard
+const broadcastBuilderKeyboard = {
+  reply_markup: {
+    keyboard: [[{ text: '✅ Send Now' }, { text: '🕒 Schedule' }], [{ text: 'Cancel' }]],
+    resize_keyboard: true,
+  },
 };
 
 // Cancel Keyboard
@@ -72,202 +294,1234 @@ const cancelKeyboard = {
   },
 };
 
+const DEFAULT_CHANNEL_URL = 'https://t.me/Kali_Linux_BOTS';
+const MAX_CHANNELS = 5;
+const MAX_COMMANDS = 20;
+const MAX_AUTO_REPLIES = 50;
+const MAX_MILESTONES = 10;
+const MAX_ADMINS = 10;
+const USERS_PAGE_SIZE = 8;
+const ADMIN_INVITE_TTL_HOURS = 24;
+
+// Built-in commands custom commands can't replace
+const RESERVED_COMMANDS = ['start', 'panel', 'referral'];
+
+const AUTO_REPLY_MATCH_TYPES = {
+  exact: '🎯 Exact Match',
+  contains: '🔎 Contains',
+  regex: '🧮 Regex',
+};
+
+// Regex triggers are written by creators and run against any user's message, so they run in a
+// separate context with a time limit; a catastrophic pattern would otherwise block every created bot.
+// Nested quantifiers such as (a+)+ are the usual cause and are rejected when a rule is saved.
+const AUTO_REPLY_REGEX_TIMEOUT_MS = 50;
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)[+*{]/;
+const autoReplyRegexContext = vm.createContext({});
+const autoReplyRegexScript = new vm.Script('new RegExp(trigger, "i").test(input)');
+
+const DEFAULT_WELCOME_TEXT = 'Hi, how are you?';
+const DEFAULT_BUTTON_LABELS = { join: 'Join Channel', joined: 'Joined' };
+
+// Texts and button labels creators can change from ✏️ Edit Messages
+const EDITABLE_MESSAGES = {
+  welcome: '👋 Welcome Message',
+  join_prompt: '📢 Join Prompt',
+  post_join: '🎉 Post-Join Message',
+  join: '🔘 Join Button',
+  joined: '🔘 Joined Button',
+};
+
 // Helper Functions
-const getChannelUrl = async (botToken) => {
+const hashToken = (token) => crypto.createHmac('sha256', tokenHashKey).update(token).digest('hex');
+
+const decryptToken = (tokenEncrypted) => {
+  const [iv, authTag, encrypted] = tokenEncrypted.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', tokenCipherKey, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const isValidSecret = (received, expected) => {
+  if (typeof received !== 'string' || !expected) return false;
+  const receivedBuffer = Buffer.from(received);
+  const expectedBuffer = Buffer.from(expected);
+  return receivedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+};
+
+// Records of a bot are keyed by its Telegram bot ID. Bots that /migrate_bot_ids has not
+// re-keyed yet, or skipped as duplicates, keep them under the token hash, and bots that
+// /migrate_tokens has not reached yet under the plaintext token.
+const getBotKey = (botInfo) => botInfo.botId || botInfo.tokenHash || botInfo.token;
+
+// Finds the bot an update is addressed to. Updates must arrive on /created/<webhookId> with
+// the bot's secret token; legacy ?token= URLs are only accepted until the bot is migrated.
+const authenticateWebhook = async (req) => {
+  const webhookId = req.url.match(/^\/created\/([a-f0-9]+)/i)?.[1];
+  if (webhookId) {
+    const botInfo = await Bot.findOne({ webhookId });
+    const secret = req.headers['x-telegram-bot-api-secret-token'];
+    return botInfo && isValidSecret(secret, botInfo.webhookSecret) ? botInfo : null;
+  }
+
+  const legacyToken = req.query.token;
+  if (!legacyToken) return null;
+  const botInfo = await Bot.findOne({ $or: [{ tokenHash: hashToken(legacyToken) }, { token: legacyToken }] });
+  return botInfo && !botInfo.webhookId ? botInfo : null;
+};
+
+// Re-registers a legacy bot under an opaque webhook path with a secret token
+const migrateLegacyWebhook = async (bot, botInfo) => {
+  const webhookId = crypto.randomBytes(16).toString('hex');
+  const webhookSecret = crypto.randomBytes(32).toString('hex');
+  try {
+    await bot.telegram.setWebhook(`${WEBHOOK_BASE_URL}/created/${webhookId}`, { secret_token: webhookSecret });
+    await Bot.updateOne({ _id: botInfo._id }, { webhookId, webhookSecret });
+  } catch (error) {
+    console.error(`Webhook migration failed for @${botInfo.username}:`, error.message);
+  }
+};
+
+const getChannels = async (botToken) => {
   const channelUrlDoc = await ChannelUrl.findOne({ botToken }).lean();
-  return channelUrlDoc?.url || 'https://t.me/Kali_Linux_BOTS';
+  if (channelUrlDoc?.channels?.length) return channelUrlDoc.channels;
+  return channelUrlDoc?.url ? [{ url: channelUrlDoc.url, chatId: channelUrlDoc.chatId }] : [];
 };
 
-const broadcastMessage = async (bot, message, targetUsers, adminId) => {
-  let successCount = 0;
-  let failCount = 0;
+const saveChannels = (botToken, channels) => ChannelUrl.findOneAndUpdate(
+  { botToken },
+  { botToken, channels, $unset: { url: 1, chatId: 1 } },
+  { upsert: true }
+);
 
-  for (const targetUser of targetUsers) {
-    if (targetUser.userId === adminId) continue;
-    try {
-      if (message.text) {
-        await bot.telegram.sendMessage(targetUser.userId, message.text);
-      } else if (message.photo) {
-        const photo = message.photo[message.photo.length - 1].file_id;
-        await bot.telegram.sendPhoto(targetUser.userId, photo, { caption: message.caption || '' });
-      } else if (message.document) {
-        await bot.telegram.sendDocument(targetUser.userId, message.document.file_id, { caption: message.caption || '' });
-      } else if (message.video) {
-        await bot.telegram.sendVideo(targetUser.userId, message.video.file_id, { caption: message.caption || '' });
-      } else if (message.audio) {
-        await bot.telegram.sendAudio(targetUser.userId, message.audio.file_id, { caption: message.caption || '' });
-      } else if (message.voice) {
-        await bot.telegram.sendVoice(targetUser.userId, message.voice.file_id);
-      } else if (message.sticker) {
-        await bot.telegram.sendSticker(targetUser.userId, message.sticker.file_id);
-      } else {
-        await bot.telegram.sendMessage(targetUser.userId, 'Unsupported message type');
-      }
-      successCount++;
-      await new Promise(resolve => setTimeout(resolve, 34));
-    } catch (error) {
-      console.error(`Broadcast failed for user ${targetUser.userId}:`, error.message);
-      failCount++;
-    }
+// Channels users must join; falls back to the default channel when none are set
+const getRequiredChannels = (channels) => (channels.length ? channels : [{ url: DEFAULT_CHANNEL_URL }]);
+
+const buildJoinKeyboard = (channels, buttonLabels) => {
+  const joinLabel = buttonLabels?.join || DEFAULT_BUTTON_LABELS.join;
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        ...channels.map((channel, index) => [{
+          text: channels.length === 1 ? joinLabel : `${joinLabel} ${index + 1}`,
+          url: channel.url,
+        }]),
+        [{ text: buttonLabels?.joined || DEFAULT_BUTTON_LABELS.joined, callback_data: 'joined' }],
+      ],
+    },
+  };
+};
+
+// Reads the text or media of a message in a form that can be sent again with sendContent
+const getMessageContent = (message) => {
+  if (message.text) {
+    return { type: 'text', text: message.text, entities: message.entities };
+  }
+  if (message.photo) {
+    return {
+      type: 'photo',
+      fileId: message.photo[message.photo.length - 1].file_id,
+      caption: message.caption,
+      entities: message.caption_entities,
+    };
   }
+  // Animations also carry a document, so they are checked first
+  const type = ['animation', 'video', 'document', 'audio', 'voice', 'sticker'].find((mediaType) => message[mediaType]);
+  return type
+    ? { type, fileId: message[type].file_id, caption: message.caption, entities: message.caption_entities }
+    : null;
+};
 
-  return { successCount, failCount };
+const sendContent = (bot, chatId, content, extra = {}) => {
+  if (content.type === 'text') {
+    return bot.telegram.sendMessage(chatId, content.text, { entities: content.entities, ...extra });
+  }
+  const methods = {
+    photo: 'sendPhoto',
+    animation: 'sendAnimation',
+    video: 'sendVideo',
+    document: 'sendDocument',
+    audio: 'sendAudio',
+    voice: 'sendVoice',
+    sticker: 'sendSticker',
+  };
+  const options = content.type === 'sticker' ? extra : { caption: content.caption, caption_entities: content.entities, ...extra };
+  return bot.telegram[methods[content.type]](chatId, content.fileId, options);
 };
 
-const getRelativeTime = (timestamp) => {
-  const now = Math.floor(Date.now() / 1000);
-  const diff = now - timestamp;
-  const date = new Date(timestamp * 1000);
-  const month = date.getMonth() + 1;
-  const day = date.getDate();
-  const dateStr = `${month}/${day}`;
+// Returns the custom content stored for a message key, or the given default text
+const getBotMessage = async (botToken, key, defaultText) => {
+  const botMessage = await BotMessage.findOne({ botToken, key }).lean();
+  return botMessage?.content || { type: 'text', text: defaultText };
+};
 
-  if (diff < 60) return `${dateStr}, ${diff} seconds ago`;
-  if (diff < 3600) return `${dateStr}, ${Math.floor(diff / 60)} minutes ago`;
-  if (diff < 86400) return `${dateStr}, ${Math.floor(diff / 3600)} hours ago`;
-  return `${dateStr}, ${Math.floor(diff / 86400)} days ago`;
+const getJoinPromptText = (channels) => (channels.length === 1
+  ? 'Please join our channel and click on Joined button to proceed.'
+  : 'Please join all our channels and click on Joined button to proceed.');
+
+const buildMessageEditor = async (botInfo) => {
+  const customKeys = await BotMessage.distinct('key', { botToken: getBotKey(botInfo) });
+  let text = '✏️ Edit Messages\n\n';
+  text += ['welcome', 'join_prompt', 'post_join']
+    .map((key) => `${EDITABLE_MESSAGES[key]}: ${customKeys.includes(key) ? 'custom' : 'default'}`)
+    .join('\n');
+  text += `\n${EDITABLE_MESSAGES.join}: ${botInfo.buttonLabels?.join || DEFAULT_BUTTON_LABELS.join}`;
+  text += `\n${EDITABLE_MESSAGES.joined}: ${botInfo.buttonLabels?.joined || DEFAULT_BUTTON_LABELS.joined}`;
+  text += '\n\nMessages can be formatted text or media with a caption.';
+
+  const inlineKeyboard = Object.entries(EDITABLE_MESSAGES).map(([key, label]) => [
+    { text: `✏️ ${label}`, callback_data: `txt:edit:${key}` },
+    { text: '♻️ Reset', callback_data: `txt:reset:${key}` },
+  ]);
+
+  return { text, extra: { reply_markup: { inline_keyboard: inlineKeyboard } } };
 };
 
-// Vercel Handler for Created Bots
-module.exports = async (req, res) => {
+const buildCommandManager = (commands) => {
+  let text = '⌨️ Custom Commands\n\n';
+  text += commands.length === 0
+    ? 'No commands yet.\n'
+    : commands.map((command) => `/${command.command} - ${command.description}`).join('\n') + '\n';
+  text += '\nCommands appear in the bot menu and reply with the content you set.';
+
+  const inlineKeyboard = commands.map((command) => [
+    { text: `❌ Remove /${command.command}`, callback_data: `cmd_del:${command._id}` },
+  ]);
+  if (commands.length < MAX_COMMANDS) {
+    inlineKeyboard.push([{ text: '➕ Add Command', callback_data: 'cmd_add' }]);
+  }
+
+  return { text, extra: { reply_markup: { inline_keyboard: inlineKeyboard } } };
+};
+
+const buildAutoReplyManager = (rules) => {
+  let text = '🤖 Auto Replies\n\n';
+  text += rules.length === 0
+    ? 'No rules yet.\n'
+    : rules.map((rule, index) => `${index + 1}. ${AUTO_REPLY_MATCH_TYPES[rule.matchType]}: ${rule.trigger}` +
+        ` (priority ${rule.priority}${rule.cooldown ? `, cooldown ${rule.cooldown}s` : ''})`).join('\n') + '\n';
+  text += '\nRules are checked from the highest priority down; the first match answers the message. ' +
+          'Messages no rule answers are handled by the bot template.';
+
+  const inlineKeyboard = rules.map((rule, index) => [
+    { text: `❌ Remove #${index + 1}`, callback_data: `ar_del:${rule._id}` },
+  ]);
+  if (rules.length < MAX_AUTO_REPLIES) {
+    inlineKeyboard.push([{ text: '➕ Add Rule', callback_data: 'ar_add' }]);
+  }
+
+  return { text, extra: { reply_markup: { inline_keyboard: inlineKeyboard } } };
+};
+
+const getAutoReplies = (botToken) => AutoReply.find({ botToken }).sort({ priority: -1, createdAt: 1 }).lean();
+
+const matchesAutoReply = (rule, input) => {
+  const normalized = input.trim().toLowerCase();
+  if (rule.matchType === 'exact') return normalized === rule.trigger.toLowerCase();
+  if (rule.matchType === 'contains') return normalized.includes(rule.trigger.toLowerCase());
+  autoReplyRegexContext.trigger = rule.trigger;
+  autoReplyRegexContext.input = input;
   try {
-    if (req.method !== 'POST') {
-      res.status(200).send('Created Bot is running.');
-      return;
-    }
+    return autoReplyRegexScript.runInContext(autoReplyRegexContext, { timeout: AUTO_REPLY_REGEX_TIMEOUT_MS }) === true;
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') console.warn(`Auto reply regex timed out: ${rule.trigger}`);
+    return false;
+  }
+};
 
-    const botToken = req.query.token;
-    if (!botToken) {
-      res.status(400).json({ error: 'No token provided' });
-      return;
-    }
+// Returns the highest-priority rule matching the message. Rules cooling down for
+// the user are skipped, so a lower rule or the template answers instead.
+const findAutoReply = async (botToken, userId, message) => {
+  const input = message.text || message.caption;
+  if (!input) return null;
 
-    const botInfo = await Bot.findOne({ token: botToken });
-    if (!botInfo) {
-      res.status(404).json({ error: 'Bot not found' });
-      return;
+  const rules = await getAutoReplies(botToken);
+  for (const rule of rules) {
+    if (!matchesAutoReply(rule, input)) continue;
+    if (rule.cooldown > 0) {
+      const cooldown = await AutoReplyCooldown.findOne({ ruleId: rule._id, userId }).lean();
+      if (cooldown && cooldown.until > new Date()) continue;
+      await AutoReplyCooldown.updateOne(
+        { ruleId: rule._id, userId },
+        { botToken, until: new Date(Date.now() + rule.cooldown * 1000) },
+        { upsert: true }
+      );
     }
+    return rule;
+  }
+  return null;
+};
 
-    const bot = new Telegraf(botToken);
-    const update = req.body;
-    const chatId = update.message?.chat?.id || update.callback_query?.message?.chat?.id;
-    const fromId = (update.message?.from?.id || update.callback_query?.from?.id)?.toString();
+const buildAdminManager = (botInfo, admins) => {
+  let text = '👥 Admins\n\n';
+  text += admins.length === 0
+    ? 'No co-admins yet.\n'
+    : admins.map((admin) => `${ADMIN_ROLES[admin.role]?.name || admin.role}: ${admin.username || admin.userId} (${admin.userId})`).join('\n') + '\n';
+  text += `\n🔔 New user notifications to co-admins: ${botInfo.notifyAdmins ? 'on' : 'off'}\n\n`;
+  text += Object.values(ADMIN_ROLES).map((role) => `${role.name}: ${role.description}`).join('\n');
+  text += '\n\nTap 🔄 to change the role of a co-admin.';
 
-    if (!chatId || !fromId) {
-      res.status(400).json({ error: 'Invalid update' });
-      return;
-    }
+  const inlineKeyboard = admins.map((admin) => [
+    { text: `🔄 ${admin.username || admin.userId}`, callback_data: `adm_role:${admin.userId}` },
+    { text: '❌', callback_data: `adm_del:${admin.userId}` },
+  ]);
+  if (admins.length < MAX_ADMINS) {
+    inlineKeyboard.push([
+      { text: '➕ Add by ID', callback_data: 'adm_add:id' },
+      { text: '🔗 Invite Link', callback_data: 'adm_add:link' },
+    ]);
+  }
+  inlineKeyboard.push([{
+    text: botInfo.notifyAdmins ? '🔕 Notify Only Me' : '🔔 Notify All Admins',
+    callback_data: 'adm_notify',
+  }]);
 
-    // Initialize Bot User
-    let botUser = await BotUser.findOne({ botToken, userId: fromId });
-    if (!botUser) {
-      const username = update.message?.from?.username ? `@${update.message.from.username}` : update.message?.from?.first_name;
-      const referredBy = update.message?.text?.split(' ')[1] || 'None';
-      botUser = await BotUser.create({
-        botToken,
-        userId: fromId,
-        hasJoined: false,
-        userStep: 'none',
-        adminState: 'none',
-        isBlocked: false,
-        username,
-        referredBy,
-        isFirstStart: true,
-      });
+  return { text, extra: { reply_markup: { inline_keyboard: inlineKeyboard } } };
+};
+
+// Bans
+const banBotUser = async ({ botToken, userId, issuedBy, duration, reason }) => {
+  const now = Math.floor(Date.now() / 1000);
+  const ban = { reason, until: duration ? now + duration : undefined, issuedBy, issuedAt: now };
+  await BotUser.updateOne({ botToken, userId }, { isBlocked: true, ban });
+  await BanRecord.create({ botToken, userId, action: 'ban', reason, until: ban.until, issuedBy });
+};
+
+// Returns false for global bans, which only the Bot Maker owner can lift
+const unbanBotUser = async ({ botToken, userId, issuedBy }) => {
+  const result = await BotUser.updateOne(
+    { botToken, userId, 'ban.global': { $ne: true } },
+    { isBlocked: false, $unset: { ban: 1 } }
+  );
+  if (result.matchedCount === 0) return false;
+  await BanRecord.create({ botToken, userId, action: 'unban', issuedBy });
+  return true;
+};
+
+// Global bans are copied to the users of every bot when the owner issues them. Users who start
+// a bot later, or whose copy was removed, get the ban from their Bot Maker record instead.
+const getGlobalBan = async (userId) => {
+  const makerUser = await MakerUser.findOne({
+    userId,
+    isBlocked: true,
+    'ban.global': true,
+    $or: [{ 'ban.until': null }, { 'ban.until': { $gt: Math.floor(Date.now() / 1000) } }],
+  }).select('ban').lean();
+  return makerUser?.ban || null;
+};
+
+const buildBanHistory = async (botToken, user, page) => {
+  const records = await BanRecord.find({ userId: user.userId, $or: [{ botToken }, { global: true }] })
+    .sort({ createdAt: -1 })
+    .limit(20)
+    .lean();
+  const text = `📜 Ban History of ${user.username || user.userId}\n\n` +
+    (records.length === 0 ? 'No bans recorded.' : records.map(formatBanRecord).join('\n'));
+  return {
+    text,
+    extra: { reply_markup: { inline_keyboard: [[{ text: '⬅️ Back', callback_data: `usr:view:${user.userId}:${page}` }]] } },
+  };
+};
+
+// Limits and features of the creator's plan, see tiers.js
+const getCreatorTier = async (botInfo) => {
+  const creator = await MakerUser.findOne({ userId: botInfo.creatorId }).select('tier').lean();
+  return getTier(creator?.tier);
+};
+
+const canRepeat = async (botInfo) => (await getCreatorTier(botInfo)).features.includes('repeat');
+
+const getUserStatus = (user) => {
+  if (user.isBlocked) return '⛔ Banned by admin';
+  if (user.isActive === false) return '🚫 Blocked the bot';
+  return user.hasJoined ? '✅ Active' : '⏳ Not joined yet';
+};
+
+const getUserSearchFilter = (botToken, search) => {
+  if (!search) return { botToken };
+  const username = new RegExp(escapeRegExp(search.replace(/^@/, '')), 'i');
+  return /^\d+$/.test(search)
+    ? { botToken, $or: [{ userId: search }, { username }] }
+    : { botToken, username };
+};
+
+// One page of the 👥 Users browser; usr:view opens a user card, usr:page moves between pages
+const buildUserBrowser = async (botToken, search, page) => {
+  const filter = getUserSearchFilter(botToken, search);
+  const total = await BotUser.countDocuments(filter);
+  const pageCount = Math.max(1, Math.ceil(total / USERS_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+  const users = await BotUser.find(filter)
+    .sort({ lastInteraction: -1 })
+    .skip(currentPage * USERS_PAGE_SIZE)
+    .limit(USERS_PAGE_SIZE)
+    .lean();
+
+  let text = `👥 Users${search ? ` matching "${search}"` : ''}: ${total}\n`;
+  text += total === 0 ? '\nNo users found.' : `Page ${currentPage + 1} of ${pageCount}, most recently active first.`;
+
+  const inlineKeyboard = users.map((user) => [{
+    text: `${getUserStatus(user).split(' ')[0]} ${user.username || user.userId} (${user.userId})`,
+    callback_data: `usr:view:${user.userId}:${currentPage}`,
+  }]);
+  const navigation = [];
+  if (currentPage > 0) navigation.push({ text: '⬅️ Previous', callback_data: `usr:page:${currentPage - 1}` });
+  if (currentPage < pageCount - 1) navigation.push({ text: 'Next ➡️', callback_data: `usr:page:${currentPage + 1}` });
+  if (navigation.length > 0) inlineKeyboard.push(navigation);
+  inlineKeyboard.push(search
+    ? [{ text: '🔍 New Search', callback_data: 'usr:search' }, { text: '✖️ Clear Search', callback_data: 'usr:clear' }]
+    : [{ text: '🔍 Search', callback_data: 'usr:search' }]);
+
+  return { text, extra: { reply_markup: { inline_keyboard: inlineKeyboard } } };
+};
+
+const buildUserCard = async (botInfo, user, page) => {
+  const admin = user.userId === botInfo.creatorId
+    ? { role: 'creator' }
+    : await BotAdmin.findOne({ botToken: user.botToken, userId: user.userId }).lean();
+
+  let text = `👤 ${user.username || 'Unknown'}\n` +
+             `🆔 User ID: ${user.userId}\n` +
+             `📌 Status: ${getUserStatus(user)}\n`;
+  if (user.isBlocked && user.ban) {
+    text += `⛔ Ban: ${user.ban.until ? `${formatDuration(user.ban.until - Math.floor(Date.now() / 1000))} left` : 'permanent'}` +
+            `${user.ban.reason ? `, ${user.ban.reason}` : ''}\n`;
+  }
+  if (admin) text += `👥 Role: ${admin.role === 'creator' ? 'Creator' : ADMIN_ROLES[admin.role]?.name || admin.role}\n`;
+  text += `📅 Joined: ${user.joinedAt ? getRelativeTime(user.joinedAt) : 'Not yet'}\n` +
+          `🕒 Last activity: ${getRelativeTime(user.lastInteraction)}\n` +
+          `🔗 Referrals: ${user.referralCount || 0}\n` +
+          `⭐ Referred by: ${user.referredBy}`;
+
+  const actions = [];
+  if (!admin) {
+    actions.push(user.isBlocked
+      ? { text: '🔓 Unblock', callback_data: `usr:unblock:${user.userId}:${page}` }
+      : { text: '🚫 Block', callback_data: `usr:block:${user.userId}:${page}` });
+  }
+  actions.push({ text: '✉️ Message', callback_data: `usr:msg:${user.userId}` });
+
+  return {
+    text,
+    extra: {
+      reply_markup: {
+        inline_keyboard: [
+          actions,
+          [{ text: '📜 Ban History', callback_data: `usr:hist:${user.userId}:${page}` }],
+          [{ text: '⬅️ Back to Users', callback_data: `usr:page:${page}` }],
+        ],
+      },
+    },
+  };
+};
+
+const STATS_RANGES = [7, 30, 90];
+
+const getStatsDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// Adds to today's counters, e.g. recordDailyStat(botToken, { newUsers: 1 })
+const recordDailyStat = (botToken, counters) => BotDailyStat.updateOne(
+  { botToken, day: getStatsDay() },
+  { $inc: counters },
+  { upsert: true }
+).catch((error) => console.error('Error recording daily stats:', error.message));
+
+const buildSparkline = (values) => {
+  const bars = '▁▂▃▄▅▆▇█';
+  const max = Math.max(...values, 1);
+  return values.map((value) => bars[Math.round((value / max) * (bars.length - 1))]).join('');
+};
+
+const buildStatsReport = async (botToken, rangeDays) => {
+  const days = [];
+  for (let offset = rangeDays - 1; offset >= 0; offset--) {
+    days.push(getStatsDay(new Date(Date.now() - offset * 86400000)));
+  }
+  const stats = await BotDailyStat.find({ botToken, day: { $gte: days[0] } }).lean();
+  const statsByDay = new Map(stats.map((stat) => [stat.day, stat]));
+  const series = days.map((day) => statsByDay.get(day) || {});
+  const sum = (field) => series.reduce((total, stat) => total + (stat[field] || 0), 0);
+
+  const now = Math.floor(Date.now() / 1000);
+  const [dau, wau, mau] = await Promise.all([1, 7, 30].map((period) => BotUser.countDocuments({
+    botToken,
+    lastInteraction: { $gte: now - period * 86400 },
+  })));
+
+  const newUsers = sum('newUsers');
+  const joinedUsers = sum('joinedUsers');
+  const sources = new Map();
+  for (const stat of series) {
+    for (const [source, count] of Object.entries(stat.sources || {})) {
+      sources.set(source, (sources.get(source) || 0) + count);
     }
+  }
+  const topSources = [...sources.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5);
 
-    // Send notification to admin only on first start
-    if (botUser.isFirstStart) {
-      const totalUsers = await BotUser.countDocuments({ botToken, hasJoined: true });
-      const notification = `➕ New User Notification ➕\n` +
-                          `👤 User: ${botUser.username}\n` +
-                          `🆔 User ID: ${fromId}\n` +
-                          `⭐ Referred By: ${botUser.referredBy}\n` +
-                          `📊 Total Users of Bot: ${totalUsers}`;
-      await bot.telegram.sendMessage(botInfo.creatorId, notification);
+  let text = `📈 Last ${rangeDays} Days\n\n` +
+             `➕ New Users: ${newUsers}\n` +
+             `✅ Joined Channels: ${joinedUsers}` +
+             `${newUsers ? ` (${Math.round((joinedUsers / newUsers) * 100)}% conversion)` : ''}\n` +
+             `🚫 Blocked the Bot: ${sum('blockedUsers')}\n\n` +
+             `👥 Active Users: ${dau} today, ${wau} this week, ${mau} this month\n\n` +
+             `New users per day:\n${buildSparkline(series.map((stat) => stat.newUsers || 0))}\n` +
+             `Active users per day:\n${buildSparkline(series.map((stat) => stat.activeUsers || 0))}\n`;
+  if (rangeDays <= 7) {
+    text += '\n' + days.map((day, index) => `${day.slice(5)}: +${series[index].newUsers || 0} new, ` +
+            `${series[index].activeUsers || 0} active`).join('\n') + '\n';
+  }
+  text += `\n🔗 Top Referral Sources:\n${topSources.length
+    ? topSources.map(([source, count]) => `${source}: ${count}`).join('\n')
+    : 'None in this period'}`;
 
-      // Update isFirstStart to false after sending the notification
-      botUser.isFirstStart = false;
+  const inlineKeyboard = [STATS_RANGES.map((range) => ({
+    text: `${range === rangeDays ? '✅ ' : ''}${range} days`,
+    callback_data: `st:${range}`,
+  }))];
+
+  return { text, extra: { reply_markup: { inline_keyboard: inlineKeyboard } } };
+};
+
+const EXPORT_FIELDS = ['userId', 'username', 'hasJoined', 'isBlocked', 'referredBy', 'lastInteraction'];
+// Imports run inside the webhook request, which has the same 8 second function budget as a
+// broadcast worker run (BROADCAST_TIME_BUDGET_MS in maker.js). The caps keep the download, parsing
+// and a few upsert batches well inside it; larger lists are split into several files. Batches stop
+// at IMPORT_TIME_BUDGET_MS in case the database is slow, and sending the file again finishes the import.
+const MAX_IMPORT_ROWS = 2000;
+const MAX_IMPORT_FILE_SIZE = 512 * 1024;
+const IMPORT_BATCH_SIZE = 500;
+const IMPORT_TIME_BUDGET_MS = 6000;
+
+const escapeCsvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Builds the export document; lastInteraction is written as an ISO 8601 date
+const exportUsers = async (botToken, format) => {
+  const rows = [];
+  const users = BotUser.find({ botToken }).select(EXPORT_FIELDS.join(' ')).sort({ _id: 1 }).lean();
+  for await (const user of users.cursor()) {
+    rows.push({
+      userId: user.userId,
+      username: user.username || '',
+      hasJoined: Boolean(user.hasJoined),
+      isBlocked: Boolean(user.isBlocked),
+      referredBy: user.referredBy || 'None',
+      lastInteraction: user.lastInteraction ? new Date(user.lastInteraction * 1000).toISOString() : '',
+    });
+  }
+
+  if (format === 'json') {
+    return { count: rows.length, content: JSON.stringify(rows, null, 2) };
+  }
+  const lines = [EXPORT_FIELDS.join(','), ...rows.map((row) => EXPORT_FIELDS.map((field) => escapeCsvField(row[field])).join(','))];
+  return { count: rows.length, content: lines.join('\n') };
+};
+
+// Parses CSV with a header row (RFC 4180 quoting) into objects keyed by the header names
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
     }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
 
-    botUser.lastInteraction = Math.floor(Date.now() / 1000);
-    await botUser.save();
+  const [header = [], ...records] = rows.filter((record) => record.some((value) => value.trim()));
+  const keys = header.map((key) => key.trim().replace(/^\uFEFF/, ''));
+  return records.map((record) => Object.fromEntries(keys.map((key, index) => [key, record[index]])));
+};
 
-    if (botUser.isBlocked && fromId !== botInfo.creatorId) {
-      bot.telegram.sendMessage(chatId, '🚫 You have been banned by the admin.');
-      return res.status(200).json({ ok: true });
+const parseImportBoolean = (value) => ['true', '1', 'yes'].includes(String(value ?? '').trim().toLowerCase());
+
+// Accepts Unix seconds, milliseconds or an ISO 8601 date
+const parseImportTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  const milliseconds = Number.isFinite(number) ? (number > 1e12 ? number : number * 1000) : Date.parse(value);
+  return Number.isFinite(milliseconds) ? Math.floor(milliseconds / 1000) : undefined;
+};
+
+// Merges imported users into BotUser. Users already in the bot, or repeated in the file, are left as they are.
+// Stops between batches once the deadline passes; remaining counts the users not written yet.
+const importUsers = async (botToken, records, deadline) => {
+  const seen = new Set();
+  const operations = [];
+  let invalid = 0;
+  let duplicates = 0;
+
+  for (const record of records) {
+    const userId = String(record?.userId ?? record?.user_id ?? record?.id ?? '').trim();
+    if (!/^\d+$/.test(userId)) {
+      invalid++;
+      continue;
+    }
+    if (seen.has(userId)) {
+      duplicates++;
+      continue;
     }
+    seen.add(userId);
 
-    const channelUrl = await getChannelUrl(botToken);
+    const lastInteraction = parseImportTimestamp(record.lastInteraction);
+    operations.push({
+      updateOne: {
+        filter: { botToken, userId },
+        update: {
+          $setOnInsert: {
+            botToken,
+            userId,
+            username: record.username ? String(record.username).slice(0, 64) : undefined,
+            hasJoined: parseImportBoolean(record.hasJoined),
+            isBlocked: parseImportBoolean(record.isBlocked),
+            referredBy: record.referredBy ? String(record.referredBy).slice(0, 64) : 'None',
+            isFirstStart: false, // No new-user notification for imported users
+            ...(lastInteraction ? { lastInteraction } : {}),
+          },
+        },
+        upsert: true,
+      },
+    });
+  }
 
-    // Handle Messages
-    if (update.message) {
-      const message = update.message;
-      const text = message.text;
+  let imported = 0;
+  let existing = 0;
+  let written = 0;
+  while (written < operations.length && Date.now() < deadline) {
+    const result = await BotUser.bulkWrite(operations.slice(written, written + IMPORT_BATCH_SIZE), { ordered: false });
+    imported += result.upsertedCount;
+    existing += result.matchedCount;
+    written += IMPORT_BATCH_SIZE;
+  }
 
-      // /start Command
-      if (text === '/start') {
-        if (botUser.hasJoined) {
-          await bot.telegram.sendMessage(chatId, 'Hi, how are you?');
-        } else {
-          await bot.telegram.sendMessage(chatId, 'Please join our channel and click on Joined button to proceed.', {
-            reply_markup: {
-              inline_keyboard: [
-                [
-                  { text: 'Join Channel', url: channelUrl },
-                  { text: 'Joined', callback_data: 'joined' },
-                ],
-              ],
-            },
-          });
-        }
-        botUser.userStep = 'none';
-        botUser.adminState = 'none';
-        await botUser.save();
-      }
+  return { imported, existing, duplicates, invalid, remaining: Math.max(operations.length - written, 0) };
+};
 
-      // /panel Command (Admin Only)
-      else if (text === '/panel' && fromId === botInfo.creatorId) {
-        await bot.telegram.sendMessage(chatId, '🔧 Admin Panel', adminPanel);
-        botUser.adminState = 'admin_panel';
-        await botUser.save();
-      }
+const getReferralLink = (botInfo, userId) => `https://t.me/${botInfo.username}?start=${userId}`;
 
-      // Handle Admin Panel Actions
-      else if (fromId === botInfo.creatorId && botUser.adminState === 'admin_panel') {
-        if (text === '📊 Statistics') {
-          const userCount = await BotUser.countDocuments({ botToken, hasJoined: true });
-          const createdAt = getRelativeTime(botInfo.createdAt);
-          const message = `📊 Statistics for @${botInfo.username}\n\n` +
-                         `👥 Total Users: ${userCount}\n` +
-                         `📅 Bot Created: ${createdAt}\n` +
-                         `🔗 Channel URL: ${channelUrl}`;
-          await bot.telegram.sendMessage(chatId, message, adminPanel);
-        } else if (text === '📍 Broadcast') {
-          const userCount = await BotUser.countDocuments({ botToken, hasJoined: true });
+const buildReferralLeaderboard = async (botToken) => {
+  const topReferrers = await BotUser.find({ botToken, referralCount: { $gt: 0 } })
+    .sort({ referralCount: -1 })
+    .limit(10)
+    .lean();
+  const medals = ['🥇', '🥈', '🥉'];
+
+  let text = '🏆 Top Referrers\n\n';
+  text += topReferrers.length === 0
+    ? 'No referrals yet. Users get their link with /referral.'
+    : topReferrers.map((referrer, index) => `${medals[index] || `${index + 1}.`} ${referrer.username || referrer.userId}` +
+        ` (${referrer.userId}): ${referrer.referralCount}`).join('\n');
+
+  return { text, extra: { reply_markup: { inline_keyboard: [[{ text: '🎯 Milestones', callback_data: 'rm_list' }]] } } };
+};
+
+const buildMilestoneManager = (milestones) => {
+  let text = '🎯 Referral Milestones\n\n';
+  text += milestones.length === 0
+    ? 'No milestones yet.\n'
+    : milestones.map((milestone) => `${milestone.count} referrals`).join('\n') + '\n';
+  text += '\nUsers receive the milestone message when their referral count reaches it.';
+
+  const inlineKeyboard = milestones.map((milestone) => [
+    { text: `❌ Remove ${milestone.count}`, callback_data: `rm_del:${milestone._id}` },
+  ]);
+  if (milestones.length < MAX_MILESTONES) {
+    inlineKeyboard.push([{ text: '➕ Add Milestone', callback_data: 'rm_add' }]);
+  }
+
+  return { text, extra: { reply_markup: { inline_keyboard: inlineKeyboard } } };
+};
+
+// Credits the referrer once the referred user passed the join gate, and sends any milestone reached
+const creditReferral = async (bot, botToken, botUser) => {
+  const referrerId = botUser.referredBy;
+  if (!/^\d+$/.test(referrerId) || referrerId === botUser.userId) return;
+
+  const claim = await BotUser.updateOne({ _id: botUser._id, referralCredited: { $ne: true } }, { referralCredited: true });
+  if (claim.modifiedCount === 0) return;
+
+  const referrer = await BotUser.findOneAndUpdate(
+    { botToken, userId: referrerId },
+    { $inc: { referralCount: 1 } },
+    { new: true }
+  );
+  if (!referrer) return;
+
+  try {
+    await bot.telegram.sendMessage(referrerId,
+      `🎉 ${botUser.username || 'A new user'} joined with your referral link! You now have ${referrer.referralCount} referrals.`
+    );
+    const milestone = await ReferralMilestone.findOne({ botToken, count: referrer.referralCount }).lean();
+    if (milestone) {
+      await sendContent(bot, referrerId, milestone.content);
+    }
+  } catch (error) {
+    console.error(`Error notifying referrer ${referrerId}:`, error.message);
+  }
+};
+
+// Registers the custom commands in the bot menu; returns false if Telegram refused them
+const syncBotCommands = async (bot, botToken) => {
+  const commands = await BotCommand.find({ botToken }).sort({ createdAt: 1 }).lean();
+  try {
+    await bot.telegram.setMyCommands([
+      { command: 'start', description: 'Start the bot' },
+      { command: 'referral', description: 'Get your referral link' },
+      ...commands.map(({ command, description }) => ({ command, description })),
+    ]);
+    return true;
+  } catch (error) {
+    console.error('Error setting bot commands:', error.message);
+    return false;
+  }
+};
+
+const buildChannelManager = (channels) => {
+  let text = '🔗 Required Channels\n\n';
+  if (channels.length === 0) {
+    text += `No channels set. Users are asked to join ${DEFAULT_CHANNEL_URL}.\n`;
+  } else {
+    channels.forEach((channel, index) => {
+      const unverified = !channel.chatId && !resolveChannelChatId(channel.url) ? ' (🆔 ID missing)' : '';
+      text += `${index + 1}. ${channel.url}${unverified}\n`;
+    });
+  }
+  text += `\nUsers must join every channel (up to ${MAX_CHANNELS}) before using the bot. ` +
+          `Use ⬆️/⬇️ to reorder, ❌ to remove and 🆔 to set the ID of a private channel.`;
+
+  const inlineKeyboard = channels.map((channel, index) => {
+    const row = [
+      { text: `${index + 1}`, url: channel.url },
+      { text: '⬆️', callback_data: `ch_up:${index}` },
+      { text: '⬇️', callback_data: `ch_down:${index}` },
+    ];
+    if (!resolveChannelChatId(channel.url)) {
+      row.push({ text: '🆔', callback_data: `ch_id:${index}` });
+    }
+    row.push({ text: '❌', callback_data: `ch_del:${index}` });
+    return row;
+  });
+  if (channels.length < MAX_CHANNELS) {
+    inlineKeyboard.push([{ text: '➕ Add Channel', callback_data: 'ch_add' }]);
+  }
+
+  return { text, extra: { reply_markup: { inline_keyboard: inlineKeyboard } } };
+};
+
+// Turns a channel URL into a chat ID usable with getChatMember.
+// Returns null for private invite links, which can't be resolved.
+const resolveChannelChatId = (url) => {
+  const path = url.replace(/^(https?:\/\/)?t\.me\//i, '');
+  if (/^(\+|joinchat\/)/i.test(path)) return null;
+
+  const privatePost = path.match(/^c\/(\d+)/i);
+  if (privatePost) return `-100${privatePost[1]}`;
+
+  const username = path.split(/[/?]/)[0];
+  return /^[a-z0-9_]{4,}$/i.test(username) ? `@${username}` : null;
+};
+
+const isMemberStatus = (member) => ['creator', 'administrator', 'member'].includes(member.status) ||
+  (member.status === 'restricted' && member.is_member);
+
+// Returns 'joined', 'not_joined' or 'unverifiable' (private channel without ID,
+// bot not an admin of the channel, channel deleted...).
+const checkChannelMembership = async (bot, channel, userId) => {
+  const chatId = channel.chatId || resolveChannelChatId(channel.url);
+  if (!chatId) return 'unverifiable';
+
+  try {
+    const member = await bot.telegram.getChatMember(chatId, userId);
+    return isMemberStatus(member) ? 'joined' : 'not_joined';
+  } catch (error) {
+    console.error(`Membership check failed for ${chatId}:`, error.message);
+    return 'unverifiable';
+  }
+};
+
+// Explains to the creator why membership can't be verified, or returns null if it can.
+const getChannelVerificationIssue = async (bot, botId, channel) => {
+  const chatId = channel.chatId || resolveChannelChatId(channel.url);
+  if (!chatId) {
+    return `⚠️ ${channel.url} is private, so joins can't be verified yet.\n` +
+           'Tap 🆔 next to it in 🔗 Manage Channels and forward a post from the channel (or send its numeric ID).';
+  }
+
+  try {
+    const member = await bot.telegram.getChatMember(chatId, botId);
+    if (!['creator', 'administrator'].includes(member.status)) {
+      return `⚠️ This bot is not an admin of ${channel.url}, so joins can't be verified.\n` +
+             'Add the bot as an administrator of the channel.';
+    }
+    return null;
+  } catch (error) {
+    return `⚠️ Can't access ${channel.url} (${error.description || error.message}), so joins can't be verified.\n` +
+           'Make sure the channel exists and the bot is an administrator there.';
+  }
+};
+
+// Starts a drafted broadcast to the joined users of this bot and posts the progress message
+const startBroadcastJob = async (bot, job) => {
+  const { adminId, botToken } = job;
+
+  let recipients = [];
+  let total = 0;
+  const targetUsers = BotUser.find({ botToken, hasJoined: true, isBlocked: false, isActive: { $ne: false } })
+    .select('userId')
+    .lean();
+  for await (const targetUser of targetUsers.cursor()) {
+    if (targetUser.userId === adminId) continue;
+    recipients.push({ jobId: job._id, userId: targetUser.userId, botToken });
+    if (recipients.length >= 1000) {
+      await BroadcastRecipient.insertMany(recipients, { ordered: false });
+      total += recipients.length;
+      recipients = [];
+    }
+  }
+  if (recipients.length > 0) {
+    await BroadcastRecipient.insertMany(recipients, { ordered: false });
+    total += recipients.length;
+  }
+
+  job.total = total;
+  job.status = 'running';
+  const progress = buildBroadcastProgress(job);
+  const progressMessage = await bot.telegram.sendMessage(adminId, progress.text, progress.extra);
+  job.progressMessageId = progressMessage.message_id;
+  await job.save();
+
+  await triggerBroadcastWorker();
+  return job;
+};
+
+const MAX_FAQ_ENTRIES = 30;
+
+const buildTemplateMenu = (currentTemplate) => {
+  const current = getTemplate(currentTemplate);
+  let text = `🧩 Template: ${current.name}\n${current.description}\n\n`;
+  text += 'Switching templates keeps your users, channels and template content.\n\n';
+  text += Object.values(templates).map((template) => `${template.name}: ${template.description}`).join('\n');
+
+  const inlineKeyboard = Object.entries(templates).map(([key, template]) => [{
+    text: `${template === current ? '✅ ' : ''}${template.name}`,
+    callback_data: `tpl:${key}`,
+  }]);
+  if (current === templates.faq) {
+    inlineKeyboard.push([{ text: '🗂 Manage Questions', callback_data: 'tpl_content' }]);
+  } else if (current === templates.files) {
+    inlineKeyboard.push([{ text: '🗂 Manage Files', callback_data: 'tpl_content' }]);
+  }
+
+  return { text, extra: { reply_markup: { inline_keyboard: inlineKeyboard } } };
+};
+
+const buildFaqManager = (entries) => {
+  let text = '❓ FAQ Questions\n\n';
+  text += entries.length === 0
+    ? 'No questions yet.\n'
+    : entries.map((entry, index) => `${index + 1}. ${entry.question}`).join('\n') + '\n';
+  text += '\nUsers see the questions as buttons and get the answer when they tap one.';
+
+  const inlineKeyboard = entries.map((entry, index) => [
+    { text: `❌ Remove #${index + 1}`, callback_data: `faq_del:${entry._id}` },
+  ]);
+  if (entries.length < MAX_FAQ_ENTRIES) {
+    inlineKeyboard.push([{ text: '➕ Add Question', callback_data: 'faq_add' }]);
+  }
+
+  return { text, extra: { reply_markup: { inline_keyboard: inlineKeyboard } } };
+};
+
+const buildFileManager = (files) => {
+  let text = '📁 Shared Files\n\n';
+  text += files.length === 0
+    ? 'No files yet.\n'
+    : files.map((file) => `${file.code} (${file.fileType})${file.caption ? ` ${file.caption.slice(0, 30)}` : ''}`).join('\n') + '\n';
+  text += '\nUsers send a code to receive its file.';
+
+  const inlineKeyboard = files.map((file) => [
+    { text: `❌ Remove ${file.code}`, callback_data: `file_del:${file._id}` },
+  ]);
+  inlineKeyboard.push([{ text: '➕ Add File', callback_data: 'file_add' }]);
+
+  return { text, extra: { reply_markup: { inline_keyboard: inlineKeyboard } } };
+};
+
+// Returns the manager for the content of the current template, or null if it has none
+const buildTemplateContentManager = async (botInfo) => {
+  if (botInfo.template === 'faq') {
+    const entries = await FaqEntry.find({ botToken: getBotKey(botInfo) }).sort({ createdAt: 1 }).lean();
+    return buildFaqManager(entries);
+  }
+  if (botInfo.template === 'files') {
+    const files = await SharedFile.find({ botToken: getBotKey(botInfo) }).sort({ createdAt: 1 }).lean();
+    return buildFileManager(files);
+  }
+  return null;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getRelativeTime = (timestamp) => {
+  const now = Math.floor(Date.now() / 1000);
+  const diff = now - timestamp;
+  const date = new Date(timestamp * 1000);
+  const month = date.getMonth() + 1;
+  const day = date.getDate();
+  const dateStr = `${month}/${day}`;
+
+  if (diff < 60) return `${dateStr}, ${diff} seconds ago`;
+  if (diff < 3600) return `${dateStr}, ${Math.floor(diff / 60)} minutes ago`;
+  if (diff < 86400) return `${dateStr}, ${Math.floor(diff / 3600)} hours ago`;
+  return `${dateStr}, ${Math.floor(diff / 86400)} days ago`;
+};
+
+// Vercel Handler for Created Bots
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'POST') {
+      res.status(200).send('Created Bot is running.');
+      return;
+    }
+
+    const botInfo = await authenticateWebhook(req);
+    if (!botInfo) {
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+
+    // Records are keyed by the bot ID, which stays the same when the token changes.
+    // The name botToken predates that and is kept to match the stored field.
+    const botToken = getBotKey(botInfo);
+    const token = botInfo.tokenEncrypted ? decryptToken(botInfo.tokenEncrypted) : botInfo.token;
+    const botId = Number(token.split(':')[0]);
+    const bot = new Telegraf(token);
+    if (!botInfo.webhookId) {
+      await migrateLegacyWebhook(bot, botInfo);
+    }
+    const update = req.body;
+
+    // Track users blocking and unblocking the bot
+    if (update.my_chat_member) {
+      const { chat, new_chat_member: member } = update.my_chat_member;
+      if (chat.type === 'private' && member.status === 'kicked') {
+        await BotUser.updateOne(
+          { botToken, userId: chat.id.toString() },
+          { isActive: false, inactiveReason: 'blocked', inactiveAt: Math.floor(Date.now() / 1000) }
+        );
+        await recordDailyStat(botToken, { blockedUsers: 1 });
+      } else if (chat.type === 'private' && member.status === 'member') {
+        await BotUser.updateOne(
+          { botToken, userId: chat.id.toString() },
+          { isActive: true, $unset: { inactiveReason: 1, inactiveAt: 1 } }
+        );
+      }
+      res.status(200).json({ ok: true });
+      return;
+    }
+
+    const chatId = update.message?.chat?.id || update.callback_query?.message?.chat?.id;
+    const fromId = (update.message?.from?.id || update.callback_query?.from?.id)?.toString();
+
+    if (!chatId || !fromId) {
+      res.status(400).json({ error: 'Invalid update' });
+      return;
+    }
+
+    // Initialize Bot User
+    let botUser = await BotUser.findOne({ botToken, userId: fromId });
+    const isActiveToday = botUser && botUser.lastInteraction >= Math.floor(new Date(getStatsDay()).getTime() / 1000);
+    if (!botUser) {
+      const username = update.message?.from?.username ? `@${update.message.from.username}` : update.message?.from?.first_name;
+      const startPayload = update.message?.text?.match(/^\/start\s+(\S{1,64})$/)?.[1];
+      const referredBy = startPayload && !startPayload.startsWith('admin_') ? startPayload : 'None';
+      botUser = await BotUser.create({
+        botToken,
+        userId: fromId,
+        hasJoined: false,
+        userStep: 'none',
+        adminState: 'none',
+        isBlocked: false,
+        username,
+        referredBy,
+        isFirstStart: true,
+      });
+      await recordDailyStat(botToken, {
+        newUsers: 1,
+        ...(/^[\w-]+$/.test(referredBy) && referredBy !== 'None' ? { [`sources.${referredBy}`]: 1 } : {}),
+      });
+    }
+    if (!isActiveToday) {
+      await recordDailyStat(botToken, { activeUsers: 1 });
+    }
+
+    // Send notification to admin only on first start
+    if (botUser.isFirstStart) {
+      const totalUsers = await BotUser.countDocuments({ botToken, hasJoined: true });
+      const notification = `➕ New User Notification ➕\n` +
+                          `👤 User: ${botUser.username}\n` +
+                          `🆔 User ID: ${fromId}\n` +
+                          `⭐ Referred By: ${botUser.referredBy}\n` +
+                          `📊 Total Users of Bot: ${totalUsers}`;
+      await bot.telegram.sendMessage(botInfo.creatorId, notification);
+      if (botInfo.notifyAdmins) {
+        const admins = await BotAdmin.find({ botToken }).select('userId').lean();
+        for (const admin of admins) {
+          await bot.telegram.sendMessage(admin.userId, notification)
+            .catch((error) => console.error(`Error notifying admin ${admin.userId}:`, error.message));
+        }
+      }
+
+      // Update isFirstStart to false after sending the notification
+      botUser.isFirstStart = false;
+    }
+
+    // Co-admins get the permissions of their role, the creator gets all of them
+    const botAdmin = fromId === botInfo.creatorId ? null : await BotAdmin.findOne({ botToken, userId: fromId }).lean();
+    const permissions = fromId === botInfo.creatorId ? OWNER_PERMISSIONS : ADMIN_ROLES[botAdmin?.role]?.permissions || [];
+    const isAdmin = permissions.length > 0;
+    const can = (permission) => permissions.includes(permission);
+    const adminPanel = buildAdminPanel(permissions);
+
+    botUser.lastInteraction = Math.floor(Date.now() / 1000);
+    if (botUser.isBlocked && await liftExpiredBan(BotUser, { _id: botUser._id }, botToken)) {
+      botUser.isBlocked = false;
+      botUser.ban = undefined;
+    }
+    if (!botUser.isBlocked) {
+      const globalBan = await getGlobalBan(fromId);
+      if (globalBan) {
+        botUser.isBlocked = true;
+        botUser.ban = globalBan;
+      }
+    }
+    if (!botUser.isActive) {
+      botUser.isActive = true;
+      botUser.inactiveReason = undefined;
+      botUser.inactiveAt = undefined;
+    }
+    // A former creator or co-admin (e.g. after an ownership transfer) must not stay in an admin state
+    if (!isAdmin && botUser.adminState !== 'none') {
+      botUser.adminState = 'none';
+    }
+    await botUser.save();
+
+    if (botUser.isBlocked && !isAdmin) {
+      bot.telegram.sendMessage(chatId, getBanNotice(botUser));
+      return res.status(200).json({ ok: true });
+    }
+
+    const channels = await getChannels(botToken);
+    const requiredChannels = getRequiredChannels(channels);
+
+    // Handle Messages
+    if (update.message) {
+      const message = update.message;
+      const text = message.text;
+      const supportMessage = fromId === botInfo.creatorId && message.reply_to_message &&
+        ['none', 'admin_panel'].includes(botUser.adminState)
+        ? await SupportMessage.findOne({ botToken, messageId: message.reply_to_message.message_id }).lean()
+        : null;
+      const isStart = /^\/start(?:\s|$)/.test(text || '');
+      const adminInviteCode = text?.match(/^\/start\s+admin_([a-f0-9]+)$/)?.[1];
+      const commandName = text?.match(/^\/([a-z0-9_]+)(?:@\w+)?$/i)?.[1].toLowerCase();
+      const customCommand = commandName && !RESERVED_COMMANDS.includes(commandName) &&
+        ['none', 'admin_panel'].includes(botUser.adminState)
+        ? await BotCommand.findOne({ botToken, command: commandName }).lean()
+        : null;
+
+      // /start Command (with or without a referral payload)
+      if (isStart) {
+        if (adminInviteCode) {
+          const invite = await BotAdminInvite.findOneAndDelete({ botToken, code: adminInviteCode, expiresAt: { $gt: new Date() } });
+          const adminCount = await BotAdmin.countDocuments({ botToken, userId: { $ne: fromId } });
+          if (!invite || fromId === botInfo.creatorId || !ADMIN_ROLES[invite.role]) {
+            await bot.telegram.sendMessage(chatId, '❌ This admin invite link is invalid or has expired.');
+          } else if (adminCount >= MAX_ADMINS) {
+            await bot.telegram.sendMessage(chatId, '❌ This bot already has the maximum number of admins.');
+          } else {
+            await BotAdmin.findOneAndUpdate(
+              { botToken, userId: fromId },
+              { role: invite.role, username: botUser.username, addedBy: invite.createdBy },
+              { upsert: true }
+            );
+            await bot.telegram.sendMessage(chatId,
+              `✅ You are now a ${ADMIN_ROLES[invite.role].name} of @${botInfo.username}. Send /panel to open the admin panel.`
+            );
+            await bot.telegram.sendMessage(invite.createdBy,
+              `👥 ${botUser.username || fromId} (${fromId}) accepted your invite and is now a ${ADMIN_ROLES[invite.role].name}.`
+            ).catch(() => {});
+          }
+        } else if (botUser.hasJoined) {
+          await sendContent(bot, chatId, await getBotMessage(botToken, 'welcome', DEFAULT_WELCOME_TEXT));
+        } else {
+          const joinPrompt = await getBotMessage(botToken, 'join_prompt', getJoinPromptText(requiredChannels));
+          await sendContent(bot, chatId, joinPrompt, buildJoinKeyboard(requiredChannels, botInfo.buttonLabels));
+        }
+        botUser.userStep = 'none';
+        botUser.adminState = 'none';
+        await botUser.save();
+      }
+
+      // /panel Command (Admin Only)
+      else if (text === '/panel' && isAdmin) {
+        await bot.telegram.sendMessage(chatId, '🔧 Admin Panel', adminPanel);
+        for (const channel of requiredChannels) {
+          const verificationIssue = await getChannelVerificationIssue(bot, botId, channel);
+          if (verificationIssue) {
+            await bot.telegram.sendMessage(chatId, verificationIssue);
+          }
+        }
+        botUser.adminState = 'admin_panel';
+        await botUser.save();
+      }
+
+      // /referral Command
+      else if (commandName === 'referral' && ['none', 'admin_panel'].includes(botUser.adminState)) {
+        if (botUser.hasJoined || isAdmin) {
+          await bot.telegram.sendMessage(chatId,
+            `🔗 Your referral link:\n${getReferralLink(botInfo, fromId)}\n\n` +
+            `👥 Users who joined with your link: ${botUser.referralCount}`
+          );
+        } else {
+          const joinPrompt = await getBotMessage(botToken, 'join_prompt', getJoinPromptText(requiredChannels));
+          await sendContent(bot, chatId, joinPrompt, buildJoinKeyboard(requiredChannels, botInfo.buttonLabels));
+        }
+      }
+
+      // Custom Commands (after the join gate, like regular messages)
+      else if (customCommand) {
+        if (botUser.hasJoined || isAdmin) {
+          await sendContent(bot, chatId, customCommand.content);
+        } else {
+          const joinPrompt = await getBotMessage(botToken, 'join_prompt', getJoinPromptText(requiredChannels));
+          await sendContent(bot, chatId, joinPrompt, buildJoinKeyboard(requiredChannels, botInfo.buttonLabels));
+        }
+      }
+
+      // Handle Creator Replies to Relayed Support Messages
+      else if (supportMessage) {
+        await handleCreatorReply({ bot, botToken, chatId, message, supportMessage, models: { BotUser } });
+      }
+
+      // Handle Admin Panel Actions
+      else if (isAdmin && botUser.adminState === 'admin_panel') {
+        if (text === '📊 Statistics' && can('stats')) {
+          const activeUsers = await BotUser.countDocuments({ botToken, hasJoined: true, isBlocked: false, isActive: { $ne: false } });
+          const inactiveUsers = await BotUser.countDocuments({ botToken, hasJoined: true, isBlocked: false, isActive: false });
+          const bannedUsers = await BotUser.countDocuments({ botToken, hasJoined: true, isBlocked: true });
+          const createdAt = getRelativeTime(botInfo.createdAt);
+          const message = `📊 Statistics for @${botInfo.username}\n\n` +
+                         `👥 Active Users: ${activeUsers}\n` +
+                         `🚫 Blocked the Bot: ${inactiveUsers}\n` +
+                         `⛔ Banned by Admin: ${bannedUsers}\n` +
+                         `📅 Bot Created: ${createdAt}\n` +
+                         `🔗 Channels:\n${requiredChannels.map((channel) => channel.url).join('\n')}`;
+          await bot.telegram.sendMessage(chatId, message, adminPanel);
+          const report = await buildStatsReport(botToken, STATS_RANGES[0]);
+          await bot.telegram.sendMessage(chatId, report.text, report.extra);
+        } else if (text === '📍 Broadcast' && can('broadcast')) {
+          const userCount = await BotUser.countDocuments({ botToken, hasJoined: true, isBlocked: false, isActive: { $ne: false } });
+          const tier = await getCreatorTier(botInfo);
+          const maxBroadcastUsers = getBroadcastLimit(tier, botInfo);
           if (userCount === 0) {
             await bot.telegram.sendMessage(chatId, '❌ No users have joined this bot yet.', adminPanel);
+          } else if (maxBroadcastUsers !== null && userCount > maxBroadcastUsers) {
+            await bot.telegram.sendMessage(chatId,
+              `❌ This bot has ${userCount} users, but its plan (${tier.name}) allows broadcasts to up to ${maxBroadcastUsers}. ` +
+              'The creator can ask the Bot Maker owner for a bigger plan.',
+              adminPanel
+            );
           } else {
             await bot.telegram.sendMessage(chatId, `📢 Send your message or content to broadcast to ${userCount} users:`, cancelKeyboard);
             botUser.adminState = 'awaiting_broadcast';
             await botUser.save();
           }
-        } else if (text === '🔗 Set Channel URL') {
+        } else if (text === '🗓 Scheduled' && can('broadcast')) {
+          const jobs = await BroadcastJob.find({ botToken, status: 'scheduled' }).sort({ scheduledAt: 1 });
+          const list = buildScheduledList(jobs, botUser.timezone);
+          await bot.telegram.sendMessage(chatId, list.text, list.extra);
+        } else if (text === '🔗 Manage Channels' && can('settings')) {
+          const manager = buildChannelManager(channels);
+          await bot.telegram.sendMessage(chatId, manager.text, manager.extra);
+        } else if (text === '✏️ Edit Messages' && can('settings')) {
+          const editor = await buildMessageEditor(botInfo);
+          await bot.telegram.sendMessage(chatId, editor.text, editor.extra);
+        } else if (text === '🏆 Top Referrers' && can('stats')) {
+          const leaderboard = await buildReferralLeaderboard(botToken);
+          await bot.telegram.sendMessage(chatId, leaderboard.text, leaderboard.extra);
+        } else if (text === '🤖 Auto Replies' && can('settings')) {
+          const manager = buildAutoReplyManager(await getAutoReplies(botToken));
+          await bot.telegram.sendMessage(chatId, manager.text, manager.extra);
+        } else if (text === '⌨️ Commands' && can('settings')) {
+          const commands = await BotCommand.find({ botToken }).sort({ createdAt: 1 }).lean();
+          const manager = buildCommandManager(commands);
+          await bot.telegram.sendMessage(chatId, manager.text, manager.extra);
+        } else if (text === '🧩 Template' && can('settings')) {
+          const menu = buildTemplateMenu(botInfo.template);
+          await bot.telegram.sendMessage(chatId, menu.text, menu.extra);
+        } else if (text === '📤 Export Users' && can('settings')) {
+          await bot.telegram.sendMessage(chatId, '📤 Choose the export format:', {
+            reply_markup: {
+              inline_keyboard: [[
+                { text: '📄 CSV', callback_data: 'exp:csv' },
+                { text: '🧾 JSON', callback_data: 'exp:json' },
+              ]],
+            },
+          });
+        } else if (text === '📥 Import Users' && can('settings')) {
           await bot.telegram.sendMessage(chatId,
-            `🔗 Current Channel URL:\n${channelUrl}\n\n` +
-            `Enter the new channel URL (e.g., https://t.me/your_channel):`,
+            '📥 Send a CSV or JSON file with your users.\n\n' +
+            `Columns (CSV) or keys (JSON): ${EXPORT_FIELDS.join(', ')}. Only userId is required.\n` +
+            `Up to ${MAX_IMPORT_ROWS} users per file. Users already in this bot are kept as they are.`,
             cancelKeyboard
           );
-          botUser.adminState = 'awaiting_channel';
+          botUser.adminState = 'awaiting_user_import';
+          await botUser.save();
+        } else if (text === '👥 Admins' && can('admins')) {
+          const manager = buildAdminManager(botInfo, await BotAdmin.find({ botToken }).sort({ createdAt: 1 }).lean());
+          await bot.telegram.sendMessage(chatId, manager.text, manager.extra);
+        } else if (text === '👥 Users' && can('moderate')) {
+          botUser.userSearch = undefined;
           await botUser.save();
-        } else if (text === '🚫 Block') {
+          const browser = await buildUserBrowser(botToken, null, 0);
+          await bot.telegram.sendMessage(chatId, browser.text, browser.extra);
+        } else if (text === '🚫 Block' && can('moderate')) {
           await bot.telegram.sendMessage(chatId,
-            '🚫 Enter the user ID of the account you want to block from this bot:',
+            '🚫 Enter the user ID of the account you want to block from this bot, or forward a message from them:',
             cancelKeyboard
           );
           botUser.adminState = 'awaiting_block';
           await botUser.save();
-        } else if (text === '🔓 Unlock') {
+        } else if (text === '🔓 Unlock' && can('moderate')) {
           await bot.telegram.sendMessage(chatId,
             '🔓 Enter the user ID of the account you want to unblock from this bot:',
             cancelKeyboard
@@ -283,64 +1537,655 @@ module.exports = async (req, res) => {
         }
       }
 
-      // Handle Broadcast Input
-      else if (fromId === botInfo.creatorId && botUser.adminState === 'awaiting_broadcast') {
+      // Handle Broadcast Input
+      else if (can('broadcast') && botUser.adminState === 'awaiting_broadcast') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Broadcast cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return;
+        }
+
+        const { isNew } = await saveBroadcastDraft({ scope: 'bot', adminId: fromId, botToken, message });
+        if (isNew) {
+          await bot.telegram.sendMessage(chatId, broadcastBuilderPrompt, broadcastBuilderKeyboard);
+          botUser.adminState = 'awaiting_broadcast_buttons';
+          await botUser.save();
+        }
+      }
+
+      // Handle Broadcast Buttons Input
+      else if (can('broadcast') && botUser.adminState === 'awaiting_broadcast_buttons') {
+        if (text === 'Cancel') {
+          await BroadcastJob.deleteMany({ adminId: fromId, botToken, status: 'draft' });
+          await bot.telegram.sendMessage(chatId, '↩️ Broadcast cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        // Remaining parts of an album sent as broadcast content
+        if (message.media_group_id) {
+          await saveBroadcastDraft({ scope: 'bot', adminId: fromId, botToken, message });
+          return res.status(200).json({ ok: true });
+        }
+
+        const draft = await BroadcastJob.findOne({ adminId: fromId, botToken, status: 'draft' }).sort({ _id: -1 });
+        if (!draft) {
+          await bot.telegram.sendMessage(chatId, '❌ This broadcast draft no longer exists.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+        } else if (text === '✅ Send Now') {
+          await bot.telegram.sendMessage(chatId, '📢 Broadcast started. Progress is shown below.', adminPanel);
+          await startBroadcastJob(bot, draft);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+        } else if (text === '🕒 Schedule') {
+          await bot.telegram.sendMessage(chatId, getSchedulePrompt(botUser.timezone, await canRepeat(botInfo)), cancelKeyboard);
+          botUser.adminState = 'awaiting_broadcast_schedule';
+          botUser.adminTarget = draft._id.toString();
+          await botUser.save();
+        } else {
+          const buttons = text && parseUrlButtons(text);
+          if (!buttons) {
+            await bot.telegram.sendMessage(chatId, `❌ Invalid buttons.\n\n${broadcastBuilderPrompt}`, broadcastBuilderKeyboard);
+          } else if (draft.messageIds.length > 1) {
+            await bot.telegram.sendMessage(chatId, '❌ Albums can\'t have buttons. Tap ✅ Send Now to broadcast the album.', broadcastBuilderKeyboard);
+          } else {
+            draft.buttons = buttons;
+            await draft.save();
+            await bot.telegram.sendMessage(chatId, '👀 Preview:');
+            await bot.telegram.copyMessage(chatId, draft.fromChatId, draft.messageIds[0], {
+              reply_markup: { inline_keyboard: buttons },
+            });
+            await bot.telegram.sendMessage(chatId, 'Send new buttons to replace them, or tap ✅ Send Now.', broadcastBuilderKeyboard);
+          }
+        }
+      }
+
+      // Handle Broadcast Schedule Input
+      else if (can('broadcast') && botUser.adminState === 'awaiting_broadcast_schedule') {
+        if (text === 'Cancel') {
+          await BroadcastJob.deleteMany({ adminId: fromId, botToken, status: 'draft' });
+          await bot.telegram.sendMessage(chatId, '↩️ Scheduling cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const schedule = parseSchedule(text, botUser.timezone);
+        if (!schedule) {
+          await bot.telegram.sendMessage(chatId, `❌ Invalid date or time.\n\n${getSchedulePrompt(botUser.timezone, await canRepeat(botInfo))}`, cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+        if (schedule.scheduledAt <= new Date()) {
+          await bot.telegram.sendMessage(chatId, '❌ This time is in the past. Please send a future date and time.', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+        const tier = await getCreatorTier(botInfo);
+        if (schedule.repeat !== 'none' && !tier.features.includes('repeat')) {
+          await bot.telegram.sendMessage(chatId,
+            `❌ Repeating broadcasts are not part of this bot's plan (${tier.name}). Send the date and time without daily or weekly.`,
+            cancelKeyboard
+          );
+          return res.status(200).json({ ok: true });
+        }
+
+        const job = mongoose.isValidObjectId(botUser.adminTarget)
+          ? await BroadcastJob.findOneAndUpdate(
+            { _id: botUser.adminTarget, botToken, status: { $in: ['draft', 'scheduled'] } },
+            { status: 'scheduled', scheduledAt: schedule.scheduledAt, repeat: schedule.repeat },
+            { new: true }
+          )
+          : null;
+        if (!job) {
+          await bot.telegram.sendMessage(chatId, '❌ This broadcast no longer exists.', adminPanel);
+        } else {
+          await bot.telegram.sendMessage(chatId,
+            `🗓 Broadcast scheduled for ${formatScheduleTime(job.scheduledAt, schedule.offset)} (${formatUtcOffset(schedule.offset)})` +
+            `${job.repeat !== 'none' ? `, repeating ${job.repeat}` : ''}.\n` +
+            `Keep the original message until then. Manage it from 🗓 Scheduled.`,
+            adminPanel
+          );
+        }
+        botUser.adminState = 'admin_panel';
+        botUser.timezone = schedule.offset;
+        await botUser.save();
+      }
+
+      // Handle Add Channel Input
+      else if (can('settings') && botUser.adminState === 'awaiting_channel') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Adding channel cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return;
+        }
+
+        let inputUrl = (text || '').trim();
+        inputUrl = inputUrl.replace(/^(https?:\/\/)?/i, '');
+        inputUrl = inputUrl.replace(/\/+$/, '');
+        if (!/^t\.me\//i.test(inputUrl)) {
+          inputUrl = 't.me/' + inputUrl;
+        }
+        const correctedUrl = 'https://' + inputUrl;
+
+        const urlRegex = /^https:\/\/t\.me\/.+$/;
+        if (!urlRegex.test(correctedUrl)) {
+          await bot.telegram.sendMessage(chatId, '❌ Invalid URL. Please provide a valid Telegram channel URL (e.g., https://t.me/your_channel).', cancelKeyboard);
+          return;
+        }
+
+        if (channels.length >= MAX_CHANNELS) {
+          await bot.telegram.sendMessage(chatId, `❌ You can require at most ${MAX_CHANNELS} channels.`, adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        if (channels.some((channel) => channel.url.toLowerCase() === correctedUrl.toLowerCase())) {
+          await bot.telegram.sendMessage(chatId, '❌ This channel is already in the list.', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+
+        const updatedChannels = [...channels, { url: correctedUrl }];
+        await saveChannels(botToken, updatedChannels);
+
+        if (!resolveChannelChatId(correctedUrl)) {
+          await bot.telegram.sendMessage(chatId,
+            `✅ Channel added:\n${correctedUrl}\n\n` +
+            `This is a private invite link. To verify joins, forward any post from the channel here, ` +
+            `or send the channel ID (e.g., -1001234567890):`,
+            cancelKeyboard
+          );
+          botUser.adminState = 'awaiting_channel_id';
+          botUser.adminTarget = String(updatedChannels.length - 1);
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        await bot.telegram.sendMessage(chatId, `✅ Channel added:\n${correctedUrl}`, adminPanel);
+        const verificationIssue = await getChannelVerificationIssue(bot, botId, { url: correctedUrl });
+        if (verificationIssue) {
+          await bot.telegram.sendMessage(chatId, verificationIssue);
+        }
+        const manager = buildChannelManager(updatedChannels);
+        await bot.telegram.sendMessage(chatId, manager.text, manager.extra);
+        botUser.adminState = 'admin_panel';
+        await botUser.save();
+      }
+
+      // Handle Private Channel ID Input
+      else if (can('settings') && botUser.adminState === 'awaiting_channel_id') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId,
+            '↩️ Channel ID not set. Joins to this private channel will not be verified.',
+            adminPanel
+          );
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const channel = channels[Number(botUser.adminTarget)];
+        if (!channel) {
+          await bot.telegram.sendMessage(chatId, '❌ This channel no longer exists.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const forwardedChat = message.forward_origin?.chat || message.forward_from_chat;
+        const channelId = forwardedChat ? forwardedChat.id.toString() : text?.trim();
+        if (!channelId || !/^-100\d+$/.test(channelId)) {
+          await bot.telegram.sendMessage(chatId,
+            '❌ Invalid channel ID. Forward a post from the channel or send an ID like -1001234567890.',
+            cancelKeyboard
+          );
+          return res.status(200).json({ ok: true });
+        }
+
+        channel.chatId = channelId;
+        await saveChannels(botToken, channels);
+
+        const verificationIssue = await getChannelVerificationIssue(bot, botId, channel);
+        await bot.telegram.sendMessage(chatId, verificationIssue || '✅ Channel ID saved. Joins will now be verified.', adminPanel);
+        botUser.adminState = 'admin_panel';
+        await botUser.save();
+      }
+
+      // Handle Custom Message Input
+      else if (can('settings') && botUser.adminState === 'awaiting_bot_message') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Editing cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const key = botUser.adminTarget;
+        if (['join', 'joined'].includes(key)) {
+          const label = text?.trim();
+          if (!label || label.length > 32) {
+            await bot.telegram.sendMessage(chatId, '❌ Please send the button label as text (up to 32 characters).', cancelKeyboard);
+            return res.status(200).json({ ok: true });
+          }
+          botInfo.set(`buttonLabels.${key}`, label);
+          await Bot.updateOne({ _id: botInfo._id }, { [`buttonLabels.${key}`]: label });
+        } else {
+          const content = getMessageContent(message);
+          if (!content) {
+            await bot.telegram.sendMessage(chatId, '❌ This message type is not supported. Send text, a photo, a video, an animation, a document, an audio, a voice message or a sticker.', cancelKeyboard);
+            return res.status(200).json({ ok: true });
+          }
+          await BotMessage.findOneAndUpdate({ botToken, key }, { content }, { upsert: true });
+          await bot.telegram.sendMessage(chatId, '👀 Preview:');
+          await sendContent(bot, chatId, content, key === 'join_prompt' ? buildJoinKeyboard(requiredChannels, botInfo.buttonLabels) : {});
+        }
+
+        await bot.telegram.sendMessage(chatId, `✅ ${EDITABLE_MESSAGES[key]} updated.`, adminPanel);
+        const editor = await buildMessageEditor(botInfo);
+        await bot.telegram.sendMessage(chatId, editor.text, editor.extra);
+        botUser.adminState = 'admin_panel';
+        await botUser.save();
+      }
+
+      // Handle Custom Command Name Input
+      else if (can('settings') && botUser.adminState === 'awaiting_command_name') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Adding command cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const match = text?.trim().match(/^\/?([a-z0-9_]{1,32})\s+-\s+(.{1,256})$/i);
+        if (!match) {
+          await bot.telegram.sendMessage(chatId,
+            '❌ Invalid command. Send it as /command - description, using only letters, digits and _ (up to 32 characters).',
+            cancelKeyboard
+          );
+          return res.status(200).json({ ok: true });
+        }
+
+        const command = match[1].toLowerCase();
+        if (RESERVED_COMMANDS.includes(command) || await BotCommand.exists({ botToken, command })) {
+          await bot.telegram.sendMessage(chatId, `❌ /${command} already exists. Choose another name.`, cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+
+        await bot.telegram.sendMessage(chatId, `✍️ Now send the response to /${command} (formatted text or media):`, cancelKeyboard);
+        botUser.adminState = 'awaiting_command_content';
+        botUser.adminTarget = JSON.stringify({ command, description: match[2].trim() });
+        await botUser.save();
+      }
+
+      // Handle Custom Command Response Input
+      else if (can('settings') && botUser.adminState === 'awaiting_command_content') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Adding command cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const content = getMessageContent(message);
+        if (!content) {
+          await bot.telegram.sendMessage(chatId, '❌ This message type is not supported. Send text, a photo, a video, an animation, a document, an audio, a voice message or a sticker.', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+
+        const { command, description } = JSON.parse(botUser.adminTarget);
+        await BotCommand.findOneAndUpdate({ botToken, command }, { description, content }, { upsert: true });
+        const registered = await syncBotCommands(bot, botToken);
+        await bot.telegram.sendMessage(chatId,
+          registered
+            ? `✅ /${command} added to the bot menu.`
+            : `✅ /${command} added, but Telegram refused to update the bot menu. Users can still type it.`,
+          adminPanel
+        );
+        botUser.adminState = 'admin_panel';
+        await botUser.save();
+      }
+
+      // Handle Referral Milestone Count Input
+      else if (can('settings') && botUser.adminState === 'awaiting_milestone_count') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Adding milestone cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const count = Number(text?.trim());
+        if (!Number.isInteger(count) || count < 1 || count > 100000) {
+          await bot.telegram.sendMessage(chatId, '❌ Please send a whole number of referrals, e.g. 10', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+        if (await ReferralMilestone.exists({ botToken, count })) {
+          await bot.telegram.sendMessage(chatId, `❌ There is already a milestone at ${count} referrals.`, cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+
+        await bot.telegram.sendMessage(chatId,
+          `✍️ Send the message users get when they reach ${count} referrals (formatted text or media):`,
+          cancelKeyboard
+        );
+        botUser.adminState = 'awaiting_milestone_content';
+        botUser.adminTarget = String(count);
+        await botUser.save();
+      }
+
+      // Handle Referral Milestone Message Input
+      else if (can('settings') && botUser.adminState === 'awaiting_milestone_content') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Adding milestone cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const content = getMessageContent(message);
+        if (!content) {
+          await bot.telegram.sendMessage(chatId, '❌ This message type is not supported. Send text, a photo, a video, an animation, a document, an audio, a voice message or a sticker.', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+
+        await ReferralMilestone.findOneAndUpdate({ botToken, count: Number(botUser.adminTarget) }, { content }, { upsert: true });
+        await bot.telegram.sendMessage(chatId, '✅ Milestone saved.', adminPanel);
+        const manager = buildMilestoneManager(await ReferralMilestone.find({ botToken }).sort({ count: 1 }).lean());
+        await bot.telegram.sendMessage(chatId, manager.text, manager.extra);
+        botUser.adminState = 'admin_panel';
+        await botUser.save();
+      }
+
+      // Handle Auto Reply Trigger Input
+      else if (can('settings') && botUser.adminState === 'awaiting_auto_reply_trigger') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Adding rule cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const matchType = botUser.adminTarget;
+        const trigger = text?.trim();
+        if (!trigger || trigger.length > 200) {
+          await bot.telegram.sendMessage(chatId, '❌ Please send the trigger as text (up to 200 characters).', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+        if (matchType === 'regex') {
+          try {
+            new RegExp(trigger, 'i');
+          } catch (error) {
+            await bot.telegram.sendMessage(chatId, `❌ Invalid regex: ${error.message}`, cancelKeyboard);
+            return res.status(200).json({ ok: true });
+          }
+          if (NESTED_QUANTIFIER.test(trigger)) {
+            await bot.telegram.sendMessage(chatId,
+              '❌ Nested quantifiers such as (a+)+ can take too long to match. Please simplify the pattern.',
+              cancelKeyboard
+            );
+            return res.status(200).json({ ok: true });
+          }
+        }
+
+        await bot.telegram.sendMessage(chatId,
+          '✍️ Now send the reply. It can be formatted text, a photo, a video, an animation, a document, an audio, a voice message or a sticker.',
+          cancelKeyboard
+        );
+        botUser.adminState = 'awaiting_auto_reply_content';
+        botUser.adminTarget = JSON.stringify({ matchType, trigger });
+        await botUser.save();
+      }
+
+      // Handle Auto Reply Response Input
+      else if (can('settings') && botUser.adminState === 'awaiting_auto_reply_content') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Adding rule cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const content = getMessageContent(message);
+        if (!content) {
+          await bot.telegram.sendMessage(chatId, '❌ This message type is not supported. Send text, a photo, a video, an animation, a document, an audio, a voice message or a sticker.', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+
+        const { matchType, trigger } = JSON.parse(botUser.adminTarget);
+        const rule = await AutoReply.create({ botToken, matchType, trigger, content });
+        await bot.telegram.sendMessage(chatId,
+          '⚙️ Optionally send a cooldown in seconds and a priority, e.g. 60 10\n' +
+          'The cooldown stops the rule from answering the same user again too soon; higher priorities are checked first. ' +
+          'Tap Skip to keep no cooldown and priority 0.',
+          { reply_markup: { keyboard: [[{ text: 'Skip' }], [{ text: 'Cancel' }]], resize_keyboard: true } }
+        );
+        botUser.adminState = 'awaiting_auto_reply_options';
+        botUser.adminTarget = rule._id.toString();
+        await botUser.save();
+      }
+
+      // Handle Auto Reply Cooldown and Priority Input
+      else if (can('settings') && botUser.adminState === 'awaiting_auto_reply_options') {
+        if (text === 'Cancel') {
+          // The rule was saved with its reply in the previous step
+          if (mongoose.isValidObjectId(botUser.adminTarget)) {
+            await AutoReply.deleteOne({ _id: botUser.adminTarget, botToken });
+          }
+          await bot.telegram.sendMessage(chatId, '↩️ Adding rule cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const match = text?.trim().match(/^(\d+)(?:\s+(-?\d+))?$/);
+        if (text !== 'Skip' && (!match || Number(match[1]) > 7 * 86400 || Math.abs(Number(match[2] || 0)) > 1000)) {
+          await bot.telegram.sendMessage(chatId,
+            '❌ Send the cooldown in seconds (up to 604800) and optionally a priority between -1000 and 1000, e.g. 60 10',
+            { reply_markup: { keyboard: [[{ text: 'Skip' }], [{ text: 'Cancel' }]], resize_keyboard: true } }
+          );
+          return res.status(200).json({ ok: true });
+        }
+
+        if (match && mongoose.isValidObjectId(botUser.adminTarget)) {
+          await AutoReply.updateOne(
+            { _id: botUser.adminTarget, botToken },
+            { cooldown: Number(match[1]), priority: Number(match[2] || 0) }
+          );
+        }
+        await bot.telegram.sendMessage(chatId, '✅ Auto reply rule saved.', adminPanel);
+        const manager = buildAutoReplyManager(await getAutoReplies(botToken));
+        await bot.telegram.sendMessage(chatId, manager.text, manager.extra);
+        botUser.adminState = 'admin_panel';
+        await botUser.save();
+      }
+
+      // Handle FAQ Question Input
+      else if (can('settings') && botUser.adminState === 'awaiting_faq_question') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Adding question cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const question = text?.trim();
+        if (!question || question.length > 100) {
+          await bot.telegram.sendMessage(chatId, '❌ Please send the question as text (up to 100 characters).', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+        if (await FaqEntry.exists({ botToken, question: new RegExp(`^${escapeRegExp(question)}$`, 'i') })) {
+          await bot.telegram.sendMessage(chatId, '❌ This question already exists.', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+
+        await bot.telegram.sendMessage(chatId, `✍️ Now send the answer to:\n${question}`, cancelKeyboard);
+        botUser.adminState = 'awaiting_faq_answer';
+        botUser.adminTarget = question;
+        await botUser.save();
+      }
+
+      // Handle FAQ Answer Input
+      else if (can('settings') && botUser.adminState === 'awaiting_faq_answer') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Adding question cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        if (!text) {
+          await bot.telegram.sendMessage(chatId, '❌ Please send the answer as text.', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+
+        await FaqEntry.create({ botToken, question: botUser.adminTarget, answer: text, entities: message.entities });
+        await bot.telegram.sendMessage(chatId, '✅ Question added.', adminPanel);
+        const manager = await buildTemplateContentManager(botInfo);
+        if (manager) {
+          await bot.telegram.sendMessage(chatId, manager.text, manager.extra);
+        }
+        botUser.adminState = 'admin_panel';
+        await botUser.save();
+      }
+
+      // Handle Shared File Upload
+      else if (can('settings') && botUser.adminState === 'awaiting_shared_file') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Adding file cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const file = getSharedFileFromMessage(message);
+        if (!file) {
+          await bot.telegram.sendMessage(chatId, '❌ Please send a document, photo, video, audio or voice message.', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+
+        const code = crypto.randomBytes(4).toString('hex').toUpperCase();
+        await SharedFile.create({ botToken, code, ...file });
+        await bot.telegram.sendMessage(chatId, `✅ File saved. Users can get it by sending the code:\n${code}`, adminPanel);
+        botUser.adminState = 'admin_panel';
+        await botUser.save();
+      }
+
+      // Handle User Import File
+      else if (can('settings') && botUser.adminState === 'awaiting_user_import') {
         if (text === 'Cancel') {
-          await bot.telegram.sendMessage(chatId, '↩️ Broadcast cancelled.', adminPanel);
+          await bot.telegram.sendMessage(chatId, '↩️ Import cancelled.', adminPanel);
           botUser.adminState = 'admin_panel';
           await botUser.save();
-          return;
+          return res.status(200).json({ ok: true });
+        }
+
+        const deadline = Date.now() + IMPORT_TIME_BUDGET_MS;
+        const document = message.document;
+        const format = document?.file_name?.match(/\.(csv|json)$/i)?.[1].toLowerCase();
+        if (!document || !format) {
+          await bot.telegram.sendMessage(chatId, '❌ Please send a .csv or .json file.', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+        if (document.file_size > MAX_IMPORT_FILE_SIZE) {
+          await bot.telegram.sendMessage(chatId,
+            `❌ The file is too large. The limit is ${MAX_IMPORT_FILE_SIZE / 1024} KB and ${MAX_IMPORT_ROWS} users; ` +
+            'split larger lists into several files.',
+            cancelKeyboard
+          );
+          return res.status(200).json({ ok: true });
         }
 
-        const targetUsers = await BotUser.find({ botToken, hasJoined: true, isBlocked: false });
-        const { successCount, failCount } = await broadcastMessage(bot, message, targetUsers, fromId);
+        let records;
+        try {
+          const fileLink = await bot.telegram.getFileLink(document.file_id);
+          const response = await axios.get(fileLink.href, { responseType: 'text', transformResponse: (data) => data });
+          if (format === 'json') {
+            const parsed = JSON.parse(response.data);
+            records = Array.isArray(parsed) ? parsed : parsed.users;
+          } else {
+            records = parseCsv(response.data);
+          }
+          if (!Array.isArray(records)) throw new Error('Expected a list of users');
+          if (records.length > MAX_IMPORT_ROWS) {
+            throw new Error(`The file has ${records.length} users; the limit is ${MAX_IMPORT_ROWS}. Split it into several files`);
+          }
+        } catch (error) {
+          await bot.telegram.sendMessage(chatId, `❌ Could not read the file: ${error.message}`, cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
 
+        const result = await importUsers(botToken, records, deadline);
+        if (result.remaining > 0) {
+          // Users written so far count as already in the bot when the file comes again
+          await bot.telegram.sendMessage(chatId,
+            `⏳ Imported ${result.imported} users before the time limit; ${result.remaining} are left. ` +
+            'Send the same file again to import the rest.',
+            cancelKeyboard
+          );
+          return res.status(200).json({ ok: true });
+        }
         await bot.telegram.sendMessage(chatId,
-          `📢 Broadcast completed!\n` +
-          `✅ Sent to ${successCount} users\n` +
-          `❌ Failed for ${failCount} users`,
+          `✅ Import finished\n\n` +
+          `➕ Imported: ${result.imported}\n` +
+          `👥 Already in this bot: ${result.existing}\n` +
+          `🔁 Repeated in the file: ${result.duplicates}\n` +
+          `⚠️ Skipped (invalid userId): ${result.invalid}`,
           adminPanel
         );
         botUser.adminState = 'admin_panel';
         await botUser.save();
       }
 
-      // Handle Set Channel URL Input
-      else if (fromId === botInfo.creatorId && botUser.adminState === 'awaiting_channel') {
+      // Handle Co-Admin User ID Input
+      else if (can('admins') && botUser.adminState === 'awaiting_admin_id') {
         if (text === 'Cancel') {
-          await bot.telegram.sendMessage(chatId, '↩️ Channel URL setting cancelled.', adminPanel);
+          await bot.telegram.sendMessage(chatId, '↩️ Adding admin cancelled.', adminPanel);
           botUser.adminState = 'admin_panel';
           await botUser.save();
-          return;
+          return res.status(200).json({ ok: true });
         }
 
-        let inputUrl = text.trim();
-        inputUrl = inputUrl.replace(/^(https?:\/\/)?/i, '');
-        inputUrl = inputUrl.replace(/\/+$/, '');
-        if (!/^t\.me\//i.test(inputUrl)) {
-          inputUrl = 't.me/' + inputUrl;
+        const role = ADMIN_ROLES[botUser.adminTarget] ? botUser.adminTarget : 'admin';
+        const forwardedUser = message.forward_origin?.sender_user || message.forward_from;
+        const targetUserId = forwardedUser ? forwardedUser.id.toString() : text?.trim();
+        if (!targetUserId || !/^\d+$/.test(targetUserId)) {
+          await bot.telegram.sendMessage(chatId, '❌ Invalid user ID. Send a numeric user ID or forward a message from the user.', cancelKeyboard);
+          return res.status(200).json({ ok: true });
         }
-        const correctedUrl = 'https://' + inputUrl;
-
-        const urlRegex = /^https:\/\/t\.me\/.+$/;
-        if (!urlRegex.test(correctedUrl)) {
-          await bot.telegram.sendMessage(chatId, '❌ Invalid URL. Please provide a valid Telegram channel URL (e.g., https://t.me/your_channel).', cancelKeyboard);
-          return;
+        if (targetUserId === botInfo.creatorId) {
+          await bot.telegram.sendMessage(chatId, '❌ You are already the creator of this bot.', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+        if (await BotAdmin.countDocuments({ botToken, userId: { $ne: targetUserId } }) >= MAX_ADMINS) {
+          await bot.telegram.sendMessage(chatId, `❌ You can have at most ${MAX_ADMINS} co-admins.`, adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
         }
 
-        await ChannelUrl.findOneAndUpdate(
-          { botToken },
-          { botToken, url: correctedUrl },
+        const targetUser = await BotUser.findOne({ botToken, userId: targetUserId }).lean();
+        await BotAdmin.findOneAndUpdate(
+          { botToken, userId: targetUserId },
+          { role, username: targetUser?.username, addedBy: fromId },
           { upsert: true }
         );
-
-        await bot.telegram.sendMessage(chatId, `✅ Channel URL has been set to:\n${correctedUrl}`, adminPanel);
+        const notified = await bot.telegram.sendMessage(targetUserId,
+          `✅ You are now a ${ADMIN_ROLES[role].name} of @${botInfo.username}. Send /panel to open the admin panel.`
+        ).then(() => true, () => false);
+        await bot.telegram.sendMessage(chatId,
+          `✅ ${targetUserId} is now a ${ADMIN_ROLES[role].name}.` +
+          `${notified ? '' : `\nThey haven't started the bot yet; ask them to open @${botInfo.username} and send /panel.`}`,
+          adminPanel
+        );
         botUser.adminState = 'admin_panel';
         await botUser.save();
       }
 
       // Handle Block Input
-      else if (fromId === botInfo.creatorId && botUser.adminState === 'awaiting_block') {
+      else if (can('moderate') && botUser.adminState === 'awaiting_block') {
         if (text === 'Cancel') {
           await bot.telegram.sendMessage(chatId, '↩️ Block action cancelled.', adminPanel);
           botUser.adminState = 'admin_panel';
@@ -348,9 +2193,18 @@ module.exports = async (req, res) => {
           return;
         }
 
-        const targetUserId = text.trim();
-        if (!/^\d+$/.test(targetUserId)) {
-          await bot.telegram.sendMessage(chatId, '❌ Invalid user ID. Please provide a numeric user ID (only numbers).', cancelKeyboard);
+        if (message.forward_origin?.type === 'hidden_user' || (message.forward_sender_name && !message.forward_from)) {
+          await bot.telegram.sendMessage(chatId,
+            '❌ This user hides their account in forwarded messages. Send their user ID instead, or find them in 👥 Users.',
+            cancelKeyboard
+          );
+          return res.status(200).json({ ok: true });
+        }
+
+        const forwardedUser = message.forward_origin?.sender_user || message.forward_from;
+        const targetUserId = forwardedUser ? forwardedUser.id.toString() : text?.trim();
+        if (!targetUserId || !/^\d+$/.test(targetUserId)) {
+          await bot.telegram.sendMessage(chatId, '❌ Invalid user ID. Send a numeric user ID or forward a message from the user.', cancelKeyboard);
           return;
         }
 
@@ -359,6 +2213,11 @@ module.exports = async (req, res) => {
           return;
         }
 
+        if (targetUserId === botInfo.creatorId || await BotAdmin.exists({ botToken, userId: targetUserId })) {
+          await bot.telegram.sendMessage(chatId, '❌ You cannot block an admin of this bot.', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+
         const targetUser = await BotUser.findOne({ botToken, userId: targetUserId });
         if (!targetUser) {
           await bot.telegram.sendMessage(chatId, '❌ User not found in this bot.', adminPanel);
@@ -367,14 +2226,40 @@ module.exports = async (req, res) => {
           return;
         }
 
-        await BotUser.findOneAndUpdate({ botToken, userId: targetUserId }, { isBlocked: true });
-        await bot.telegram.sendMessage(chatId, `✅ User ${targetUserId} has been blocked from this bot.`, adminPanel);
+        await bot.telegram.sendMessage(chatId, BAN_DETAILS_PROMPT, banDetailsKeyboard);
+        botUser.adminState = 'awaiting_ban_details';
+        botUser.adminTarget = targetUserId;
+        await botUser.save();
+      }
+
+      // Handle Ban Duration and Reason Input
+      else if (can('moderate') && botUser.adminState === 'awaiting_ban_details') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Block action cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const details = parseBanDetails(text);
+        if (!details) {
+          await bot.telegram.sendMessage(chatId, `❌ Invalid duration.\n\n${BAN_DETAILS_PROMPT}`, banDetailsKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+
+        const targetUserId = botUser.adminTarget;
+        await banBotUser({ botToken, userId: targetUserId, issuedBy: fromId, ...details });
+        await bot.telegram.sendMessage(chatId,
+          `✅ User ${targetUserId} has been banned from this bot ` +
+          `${details.duration ? `for ${formatDuration(details.duration)}` : 'permanently'}.`,
+          adminPanel
+        );
         botUser.adminState = 'admin_panel';
         await botUser.save();
       }
 
       // Handle Unlock Input
-      else if (fromId === botInfo.creatorId && botUser.adminState === 'awaiting_unlock') {
+      else if (can('moderate') && botUser.adminState === 'awaiting_unlock') {
         if (text === 'Cancel') {
           await bot.telegram.sendMessage(chatId, '↩️ Unlock action cancelled.', adminPanel);
           botUser.adminState = 'admin_panel';
@@ -396,43 +2281,626 @@ module.exports = async (req, res) => {
           return;
         }
 
-        await BotUser.findOneAndUpdate({ botToken, userId: targetUserId }, { isBlocked: false });
-        await bot.telegram.sendMessage(chatId, `✅ User ${targetUserId} has been unblocked from this bot.`, adminPanel);
+        if (!await unbanBotUser({ botToken, userId: targetUserId, issuedBy: fromId })) {
+          await bot.telegram.sendMessage(chatId, '❌ This user was banned from all bots by the Bot Maker owner and cannot be unblocked here.', adminPanel);
+        } else {
+          await bot.telegram.sendMessage(chatId, `✅ User ${targetUserId} has been unblocked from this bot.`, adminPanel);
+        }
+        botUser.adminState = 'admin_panel';
+        await botUser.save();
+      }
+
+      // Handle User Search Input
+      else if (can('moderate') && botUser.adminState === 'awaiting_user_search') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Search cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const search = text?.trim();
+        if (!search || search.length > 64) {
+          await bot.telegram.sendMessage(chatId, '❌ Send a username or user ID (up to 64 characters).', cancelKeyboard);
+          return res.status(200).json({ ok: true });
+        }
+
+        botUser.userSearch = search;
+        botUser.adminState = 'admin_panel';
+        await botUser.save();
+        await bot.telegram.sendMessage(chatId, '🔍 Search results:', adminPanel);
+        const browser = await buildUserBrowser(botToken, search, 0);
+        await bot.telegram.sendMessage(chatId, browser.text, browser.extra);
+      }
+
+      // Handle Direct Message Input for a User Card
+      else if (can('moderate') && botUser.adminState === 'awaiting_user_message') {
+        if (text === 'Cancel') {
+          await bot.telegram.sendMessage(chatId, '↩️ Message cancelled.', adminPanel);
+          botUser.adminState = 'admin_panel';
+          await botUser.save();
+          return res.status(200).json({ ok: true });
+        }
+
+        const targetUserId = botUser.adminTarget;
+        try {
+          await bot.telegram.copyMessage(targetUserId, chatId, message.message_id);
+          await bot.telegram.sendMessage(chatId, `✅ Message sent to ${targetUserId}.`, adminPanel);
+        } catch (error) {
+          if (error.response?.error_code !== 403) throw error;
+          await BotUser.updateOne(
+            { botToken, userId: targetUserId },
+            { isActive: false, inactiveReason: 'blocked', inactiveAt: Math.floor(Date.now() / 1000) }
+          );
+          await bot.telegram.sendMessage(chatId, '❌ This user has blocked the bot, so the message was not delivered.', adminPanel);
+        }
         botUser.adminState = 'admin_panel';
         await botUser.save();
       }
 
       // Handle Regular Messages (Only if in 'none' state and user has joined)
-      else if (botUser.hasJoined && botUser.adminState === 'none' && text !== '/start' && text !== '/panel') {
-        if (message.text) {
-          await bot.telegram.sendMessage(chatId, message.text);
-        } else if (message.photo) {
-          const photo = message.photo[message.photo.length - 1].file_id;
-          await bot.telegram.sendPhoto(chatId, photo, { caption: message.caption || '' });
-        } else if (message.document) {
-          await bot.telegram.sendDocument(chatId, message.document.file_id, { caption: message.caption || '' });
-        } else if (message.video) {
-          await bot.telegram.sendVideo(chatId, message.video.file_id, { caption: message.caption || '' });
-        } else if (message.audio) {
-          await bot.telegram.sendAudio(chatId, message.audio.file_id, { caption: message.caption || '' });
-        } else if (message.voice) {
-          await bot.telegram.sendVoice(chatId, message.voice.file_id);
-        } else if (message.sticker) {
-          await bot.telegram.sendSticker(chatId, message.sticker.file_id);
-        } else {
-          await bot.telegram.sendMessage(chatId, 'Unsupported message type');
+      else if (botUser.hasJoined && botUser.adminState === 'none' && text !== '/panel') {
+        const autoReply = await findAutoReply(botToken, fromId, message);
+        if (autoReply) {
+          await sendContent(bot, chatId, autoReply.content);
+          return res.status(200).json({ ok: true });
         }
+
+        const template = getTemplate(botInfo.template);
+        await template.handleMessage({
+          bot,
+          botInfo,
+          botUser,
+          botToken,
+          chatId,
+          message,
+          models: { BotUser, FaqEntry, SharedFile, SupportMessage },
+        });
       }
     }
 
     // Handle "Joined" Callback
     if (update.callback_query?.data === 'joined') {
       const callbackQuery = update.callback_query;
-      botUser.hasJoined = true;
-      await botUser.save();
+      const missingChannels = [];
+      for (const channel of requiredChannels) {
+        const membership = await checkChannelMembership(bot, channel, fromId);
+        if (membership === 'not_joined') {
+          missingChannels.push(channel);
+        } else if (membership === 'unverifiable') {
+          console.warn(`Could not verify membership of ${channel.url} for bot @${botInfo.username}, letting user ${fromId} in`);
+        }
+      }
+
+      if (missingChannels.length > 0) {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, {
+          text: '❌ You haven\'t joined all channels yet. Please join them first, then tap Joined again.',
+          show_alert: true,
+        });
+        await bot.telegram.sendMessage(chatId,
+          `❌ You still need to join:\n${missingChannels.map((channel) => channel.url).join('\n')}`,
+          buildJoinKeyboard(missingChannels, botInfo.buttonLabels)
+        );
+      } else {
+        if (!botUser.hasJoined) {
+          botUser.joinedAt = Math.floor(Date.now() / 1000);
+          await recordDailyStat(botToken, { joinedUsers: 1 });
+        }
+        botUser.hasJoined = true;
+        await botUser.save();
+        await creditReferral(bot, botToken, botUser);
+
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: 'Thank you for joining!' });
+        await sendContent(bot, chatId, await getBotMessage(botToken, 'post_join', DEFAULT_WELCOME_TEXT));
+      }
+    }
+
+    // Handle Broadcast Pause/Resume/Cancel Callbacks
+    else if (update.callback_query?.data?.startsWith('bc:')) {
+      const callbackQuery = update.callback_query;
+      const [, action, jobId] = callbackQuery.data.split(':');
+      const transitions = {
+        pause: { from: ['running'], update: { status: 'paused' } },
+        resume: { from: ['paused'], update: { status: 'running', nextRunAt: new Date() } },
+        cancel: { from: ['running', 'paused'], update: { status: 'cancelled', finishedAt: Math.floor(Date.now() / 1000) } },
+      };
+
+      const job = transitions[action] && mongoose.isValidObjectId(jobId)
+        ? await BroadcastJob.findOneAndUpdate(
+          { _id: jobId, botToken, adminId: fromId, status: { $in: transitions[action].from } },
+          transitions[action].update,
+          { new: true }
+        )
+        : null;
+
+      if (!job) {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: '❌ This broadcast can no longer be changed.' });
+      } else {
+        if (action === 'cancel') {
+          await BroadcastRecipient.deleteMany({ jobId: job._id });
+        }
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        const progress = buildBroadcastProgress(job);
+        await bot.telegram.editMessageText(chatId, job.progressMessageId, undefined, progress.text, progress.extra)
+          .catch((error) => console.error('Error updating broadcast progress:', error.message));
+        if (action === 'resume') {
+          await triggerBroadcastWorker();
+        }
+      }
+    }
+
+    // Handle Scheduled Broadcast Edit/Cancel Callbacks (Admin Only)
+    else if (update.callback_query?.data?.startsWith('sch:') && can('broadcast')) {
+      const callbackQuery = update.callback_query;
+      const [, action, jobId] = callbackQuery.data.split(':');
+      const filter = { _id: jobId, botToken, status: 'scheduled' };
+
+      if (!mongoose.isValidObjectId(jobId)) {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+      } else if (action === 'cancel') {
+        const job = await BroadcastJob.findOneAndDelete(filter);
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, {
+          text: job ? '✅ Scheduled broadcast cancelled' : '❌ This broadcast is no longer scheduled.',
+        });
+        const jobs = await BroadcastJob.find({ botToken, status: 'scheduled' }).sort({ scheduledAt: 1 });
+        const list = buildScheduledList(jobs, botUser.timezone);
+        await bot.telegram.editMessageText(chatId, callbackQuery.message.message_id, undefined, list.text, list.extra)
+          .catch(() => {});
+      } else if (!(await BroadcastJob.exists(filter))) {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: '❌ This broadcast is no longer scheduled.' });
+      } else {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        await bot.telegram.sendMessage(chatId, getSchedulePrompt(botUser.timezone, await canRepeat(botInfo)), cancelKeyboard);
+        botUser.adminState = 'awaiting_broadcast_schedule';
+        botUser.adminTarget = jobId;
+        await botUser.save();
+      }
+    }
+
+    // Handle Support Conversation Close/Mute Callbacks (Admin Only)
+    else if (update.callback_query?.data?.startsWith('sup:') && fromId === botInfo.creatorId) {
+      const callbackQuery = update.callback_query;
+      const [, action, userId] = callbackQuery.data.split(':');
+      const updates = {
+        close: { supportStatus: 'closed' },
+        mute: { supportMuted: true },
+        unmute: { supportMuted: false },
+      };
+
+      const targetUser = updates[action]
+        ? await BotUser.findOneAndUpdate({ botToken, userId }, updates[action], { new: true })
+        : null;
+      if (!targetUser) {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: '❌ This user no longer exists.' });
+      } else {
+        const notices = {
+          close: '🔒 Conversation closed',
+          mute: '🔇 Muted: new messages from this user arrive silently',
+          unmute: '🔔 Unmuted',
+        };
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: notices[action] });
+        await bot.telegram.editMessageReplyMarkup(chatId, callbackQuery.message.message_id, undefined,
+          buildSupportControls(targetUser).reply_markup
+        ).catch(() => {});
+        if (action === 'close') {
+          await bot.telegram.sendMessage(userId, '🔒 This conversation has been closed. Send a new message any time to start a new one.')
+            .catch(() => {});
+        }
+      }
+    }
+
+    // Handle User Browser Callbacks (Admin Only)
+    else if (update.callback_query?.data?.startsWith('usr:') && can('moderate')) {
+      const callbackQuery = update.callback_query;
+      const [, action, value, page] = callbackQuery.data.split(':');
+      const showBrowser = async (browserPage) => {
+        const browser = await buildUserBrowser(botToken, botUser.userSearch, browserPage);
+        await bot.telegram.editMessageText(chatId, callbackQuery.message.message_id, undefined, browser.text, browser.extra)
+          .catch(() => {});
+      };
+
+      if (action === 'page') {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        await showBrowser(Number(value) || 0);
+      } else if (action === 'clear') {
+        botUser.userSearch = undefined;
+        await botUser.save();
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        await showBrowser(0);
+      } else if (action === 'search') {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        await bot.telegram.sendMessage(chatId, '🔍 Send a username or user ID to search for:', cancelKeyboard);
+        botUser.adminState = 'awaiting_user_search';
+        await botUser.save();
+      } else {
+        let targetUser = await BotUser.findOne({ botToken, userId: value });
+        const isTargetAdmin = value === botInfo.creatorId || await BotAdmin.exists({ botToken, userId: value });
+        if (!targetUser) {
+          await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: '❌ This user no longer exists.' });
+        } else if (action === 'msg') {
+          await bot.telegram.answerCallbackQuery(callbackQuery.id);
+          await bot.telegram.sendMessage(chatId,
+            `✉️ Send the message for ${targetUser.username || targetUser.userId}. It will be delivered from the bot:`,
+            cancelKeyboard
+          );
+          botUser.adminState = 'awaiting_user_message';
+          botUser.adminTarget = value;
+          await botUser.save();
+        } else if (['block', 'unblock'].includes(action) && isTargetAdmin) {
+          await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: '❌ You cannot block an admin of this bot.' });
+        } else if (action === 'block') {
+          await bot.telegram.answerCallbackQuery(callbackQuery.id);
+          await bot.telegram.sendMessage(chatId,
+            `🚫 Banning ${targetUser.username || targetUser.userId}.\n\n${BAN_DETAILS_PROMPT}`,
+            banDetailsKeyboard
+          );
+          botUser.adminState = 'awaiting_ban_details';
+          botUser.adminTarget = value;
+          await botUser.save();
+        } else if (action === 'hist') {
+          await bot.telegram.answerCallbackQuery(callbackQuery.id);
+          const history = await buildBanHistory(botToken, targetUser, Number(page) || 0);
+          await bot.telegram.editMessageText(chatId, callbackQuery.message.message_id, undefined, history.text, history.extra)
+            .catch(() => {});
+        } else {
+          if (action === 'unblock' && !await unbanBotUser({ botToken, userId: value, issuedBy: fromId })) {
+            await bot.telegram.answerCallbackQuery(callbackQuery.id, {
+              text: '❌ This user was banned from all bots by the Bot Maker owner and cannot be unblocked here.',
+              show_alert: true,
+            });
+          } else if (action === 'unblock') {
+            targetUser = await BotUser.findOne({ botToken, userId: value });
+            await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: '✅ User unblocked' });
+          } else {
+            await bot.telegram.answerCallbackQuery(callbackQuery.id);
+          }
+          const card = await buildUserCard(botInfo, targetUser, Number(page) || 0);
+          await bot.telegram.editMessageText(chatId, callbackQuery.message.message_id, undefined, card.text, card.extra)
+            .catch(() => {});
+        }
+      }
+    }
+
+    // Handle User Export Callbacks (Admin Only)
+    else if (update.callback_query?.data?.startsWith('exp:') && can('settings')) {
+      const callbackQuery = update.callback_query;
+      const format = callbackQuery.data.split(':')[1] === 'json' ? 'json' : 'csv';
+      await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: '⏳ Preparing export...' });
+
+      const { count, content } = await exportUsers(botToken, format);
+      await bot.telegram.sendDocument(chatId, {
+        source: Buffer.from(content, 'utf8'),
+        filename: `${botInfo.username}-users-${getStatsDay()}.${format}`,
+      }, { caption: `📤 ${count} users of @${botInfo.username}` });
+    }
+
+    // Handle Statistics Range Callbacks (Admin Only)
+    else if (update.callback_query?.data?.startsWith('st:') && can('stats')) {
+      const callbackQuery = update.callback_query;
+      const rangeDays = Number(callbackQuery.data.split(':')[1]);
+      await bot.telegram.answerCallbackQuery(callbackQuery.id);
+      if (STATS_RANGES.includes(rangeDays)) {
+        const report = await buildStatsReport(botToken, rangeDays);
+        await bot.telegram.editMessageText(chatId, callbackQuery.message.message_id, undefined, report.text, report.extra)
+          .catch(() => {});
+      }
+    }
+
+    // Handle Co-Admin Manager Callbacks (Creator Only)
+    else if (update.callback_query?.data?.startsWith('adm_') && can('admins')) {
+      const callbackQuery = update.callback_query;
+      const [action, value, role] = callbackQuery.data.split(':');
+      const refreshManager = async () => {
+        const manager = buildAdminManager(botInfo, await BotAdmin.find({ botToken }).sort({ createdAt: 1 }).lean());
+        await bot.telegram.editMessageText(chatId, callbackQuery.message.message_id, undefined, manager.text, manager.extra)
+          .catch(() => {});
+      };
+
+      if (action === 'adm_add') {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        await bot.telegram.sendMessage(chatId, '👥 Choose the role of the new admin:', {
+          reply_markup: {
+            inline_keyboard: Object.entries(ADMIN_ROLES).map(([key, adminRole]) => [
+              { text: `${adminRole.name} (${adminRole.description})`, callback_data: `adm_new:${value}:${key}` },
+            ]),
+          },
+        });
+      } else if (action === 'adm_new' && ADMIN_ROLES[role]) {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        if (value === 'link') {
+          const code = crypto.randomBytes(8).toString('hex');
+          await BotAdminInvite.create({
+            botToken,
+            code,
+            role,
+            createdBy: fromId,
+            expiresAt: new Date(Date.now() + ADMIN_INVITE_TTL_HOURS * 3600000),
+          });
+          await bot.telegram.sendMessage(chatId,
+            `🔗 Invite link for a ${ADMIN_ROLES[role].name}:\nhttps://t.me/${botInfo.username}?start=admin_${code}\n\n` +
+            `It can be used once and expires in ${ADMIN_INVITE_TTL_HOURS} hours.`
+          );
+        } else {
+          await bot.telegram.sendMessage(chatId,
+            `👥 Send the user ID of the new ${ADMIN_ROLES[role].name}, or forward a message from them:`,
+            cancelKeyboard
+          );
+          botUser.adminState = 'awaiting_admin_id';
+          botUser.adminTarget = role;
+          await botUser.save();
+        }
+      } else if (action === 'adm_role') {
+        const admin = await BotAdmin.findOne({ botToken, userId: value });
+        if (!admin) {
+          await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: '❌ This admin no longer exists.' });
+        } else {
+          const roleKeys = Object.keys(ADMIN_ROLES);
+          admin.role = roleKeys[(roleKeys.indexOf(admin.role) + 1) % roleKeys.length];
+          await admin.save();
+          await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: `✅ Now a ${ADMIN_ROLES[admin.role].name}` });
+          await BotUser.updateOne({ botToken, userId: value }, { adminState: 'none' });
+          await bot.telegram.sendMessage(value,
+            `👥 Your role in @${botInfo.username} is now ${ADMIN_ROLES[admin.role].name}. Send /panel to open the admin panel.`
+          ).catch(() => {});
+        }
+        await refreshManager();
+      } else if (action === 'adm_del') {
+        const admin = await BotAdmin.findOneAndDelete({ botToken, userId: value });
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: admin ? '✅ Admin removed' : '❌ Already removed.' });
+        if (admin) {
+          await BotUser.updateOne({ botToken, userId: value }, { adminState: 'none' });
+          await bot.telegram.sendMessage(value, `👥 You are no longer an admin of @${botInfo.username}.`, {
+            reply_markup: { remove_keyboard: true },
+          }).catch(() => {});
+        }
+        await refreshManager();
+      } else if (action === 'adm_notify') {
+        botInfo.notifyAdmins = !botInfo.notifyAdmins;
+        await Bot.updateOne({ _id: botInfo._id }, { notifyAdmins: botInfo.notifyAdmins });
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, {
+          text: botInfo.notifyAdmins ? '🔔 All admins get new user notifications' : '🔕 Only you get new user notifications',
+        });
+        await refreshManager();
+      } else {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+      }
+    }
+
+    // Handle Edit Messages Callbacks (Admin Only)
+    else if (update.callback_query?.data?.startsWith('txt:') && can('settings')) {
+      const callbackQuery = update.callback_query;
+      const [, action, key] = callbackQuery.data.split(':');
+
+      if (!EDITABLE_MESSAGES[key]) {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+      } else if (action === 'edit') {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        await bot.telegram.sendMessage(chatId,
+          ['join', 'joined'].includes(key)
+            ? `✍️ Send the new label for the ${EDITABLE_MESSAGES[key]}:`
+            : `✍️ Send the new ${EDITABLE_MESSAGES[key]}. You can use formatting, or send a photo, video or document with a caption.`,
+          cancelKeyboard
+        );
+        botUser.adminState = 'awaiting_bot_message';
+        botUser.adminTarget = key;
+        await botUser.save();
+      } else if (action === 'reset') {
+        if (['join', 'joined'].includes(key)) {
+          botInfo.set(`buttonLabels.${key}`, undefined);
+          await Bot.updateOne({ _id: botInfo._id }, { $unset: { [`buttonLabels.${key}`]: 1 } });
+        } else {
+          await BotMessage.deleteOne({ botToken, key });
+        }
+        const editor = await buildMessageEditor(botInfo);
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: `♻️ ${EDITABLE_MESSAGES[key]} reset to default` });
+        await bot.telegram.editMessageText(chatId, callbackQuery.message.message_id, undefined, editor.text, editor.extra)
+          .catch(() => {});
+      } else {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+      }
+    }
+
+    // Handle Referral Milestone Callbacks (Admin Only)
+    else if (update.callback_query?.data?.startsWith('rm_') && can('settings')) {
+      const callbackQuery = update.callback_query;
+      const [action, milestoneId] = callbackQuery.data.split(':');
+
+      if (action === 'rm_list') {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        const manager = buildMilestoneManager(await ReferralMilestone.find({ botToken }).sort({ count: 1 }).lean());
+        await bot.telegram.sendMessage(chatId, manager.text, manager.extra);
+      } else if (action === 'rm_add') {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        if (await ReferralMilestone.countDocuments({ botToken }) >= MAX_MILESTONES) {
+          await bot.telegram.sendMessage(chatId, `❌ You can add at most ${MAX_MILESTONES} milestones.`, adminPanel);
+        } else {
+          await bot.telegram.sendMessage(chatId, '🎯 Send the number of referrals for this milestone:', cancelKeyboard);
+          botUser.adminState = 'awaiting_milestone_count';
+          await botUser.save();
+        }
+      } else if (action === 'rm_del' && mongoose.isValidObjectId(milestoneId)) {
+        const deleted = await ReferralMilestone.findOneAndDelete({ _id: milestoneId, botToken });
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: deleted ? '✅ Milestone removed' : '❌ Already removed.' });
+        const manager = buildMilestoneManager(await ReferralMilestone.find({ botToken }).sort({ count: 1 }).lean());
+        await bot.telegram.editMessageText(chatId, callbackQuery.message.message_id, undefined, manager.text, manager.extra)
+          .catch(() => {});
+      } else {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+      }
+    }
+
+    // Handle Auto Reply Callbacks (Admin Only)
+    else if (update.callback_query?.data?.startsWith('ar_') && can('settings')) {
+      const callbackQuery = update.callback_query;
+      const [action, value] = callbackQuery.data.split(':');
+
+      if (action === 'ar_add') {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        if (await AutoReply.countDocuments({ botToken }) >= MAX_AUTO_REPLIES) {
+          await bot.telegram.sendMessage(chatId, `❌ You can add at most ${MAX_AUTO_REPLIES} rules.`, adminPanel);
+        } else {
+          await bot.telegram.sendMessage(chatId, '🤖 How should the rule match messages?', {
+            reply_markup: {
+              inline_keyboard: Object.entries(AUTO_REPLY_MATCH_TYPES).map(([matchType, label]) => [
+                { text: label, callback_data: `ar_type:${matchType}` },
+              ]),
+            },
+          });
+        }
+      } else if (action === 'ar_type' && AUTO_REPLY_MATCH_TYPES[value]) {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        const prompts = {
+          exact: 'Send the exact message that triggers the rule (case-insensitive):',
+          contains: 'Send the word or phrase that triggers the rule when a message contains it (case-insensitive):',
+          regex: 'Send the regular expression that triggers the rule (case-insensitive), e.g. ^(price|cost)s?$',
+        };
+        await bot.telegram.sendMessage(chatId, `${AUTO_REPLY_MATCH_TYPES[value]}\n${prompts[value]}`, cancelKeyboard);
+        botUser.adminState = 'awaiting_auto_reply_trigger';
+        botUser.adminTarget = value;
+        await botUser.save();
+      } else if (action === 'ar_del' && mongoose.isValidObjectId(value)) {
+        const deleted = await AutoReply.findOneAndDelete({ _id: value, botToken });
+        if (deleted) {
+          await AutoReplyCooldown.deleteMany({ ruleId: deleted._id });
+        }
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: deleted ? '✅ Rule removed' : '❌ Already removed.' });
+        const manager = buildAutoReplyManager(await getAutoReplies(botToken));
+        await bot.telegram.editMessageText(chatId, callbackQuery.message.message_id, undefined, manager.text, manager.extra)
+          .catch(() => {});
+      } else {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+      }
+    }
+
+    // Handle Custom Command Callbacks (Admin Only)
+    else if (update.callback_query?.data?.startsWith('cmd_') && can('settings')) {
+      const callbackQuery = update.callback_query;
+      const [action, commandId] = callbackQuery.data.split(':');
+
+      if (action === 'cmd_add') {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        if (await BotCommand.countDocuments({ botToken }) >= MAX_COMMANDS) {
+          await bot.telegram.sendMessage(chatId, `❌ You can add at most ${MAX_COMMANDS} commands.`, adminPanel);
+        } else {
+          await bot.telegram.sendMessage(chatId, '⌨️ Send the command and its description, e.g.\n/help - How to use this bot', cancelKeyboard);
+          botUser.adminState = 'awaiting_command_name';
+          await botUser.save();
+        }
+      } else if (action === 'cmd_del' && mongoose.isValidObjectId(commandId)) {
+        const deleted = await BotCommand.findOneAndDelete({ _id: commandId, botToken });
+        if (deleted) {
+          await syncBotCommands(bot, botToken);
+        }
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: deleted ? `✅ /${deleted.command} removed` : '❌ Already removed.' });
+        const manager = buildCommandManager(await BotCommand.find({ botToken }).sort({ createdAt: 1 }).lean());
+        await bot.telegram.editMessageText(chatId, callbackQuery.message.message_id, undefined, manager.text, manager.extra)
+          .catch(() => {});
+      } else {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+      }
+    }
+
+    // Handle Template Callbacks (Admin Only)
+    else if (update.callback_query?.data?.startsWith('tpl') && can('settings')) {
+      const callbackQuery = update.callback_query;
+      const [action, templateKey] = callbackQuery.data.split(':');
+
+      if (action === 'tpl' && templates[templateKey]) {
+        botInfo.template = templateKey;
+        await Bot.updateOne({ _id: botInfo._id }, { template: templateKey });
+        const menu = buildTemplateMenu(templateKey);
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: `✅ Template set to ${templates[templateKey].name}` });
+        await bot.telegram.editMessageText(chatId, callbackQuery.message.message_id, undefined, menu.text, menu.extra)
+          .catch(() => {});
+      } else if (action === 'tpl_content') {
+        const manager = await buildTemplateContentManager(botInfo);
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        if (manager) {
+          await bot.telegram.sendMessage(chatId, manager.text, manager.extra);
+        }
+      } else {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: '❌ This template is no longer available.' });
+      }
+    }
+
+    // Handle FAQ and Shared File Manager Callbacks (Admin Only)
+    else if (/^(faq|file)_/.test(update.callback_query?.data || '') && can('settings')) {
+      const callbackQuery = update.callback_query;
+      const [action, id] = callbackQuery.data.split(':');
+
+      if (action === 'faq_add' || action === 'file_add') {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        const faqCount = action === 'faq_add' ? await FaqEntry.countDocuments({ botToken }) : 0;
+        if (faqCount >= MAX_FAQ_ENTRIES) {
+          await bot.telegram.sendMessage(chatId, `❌ You can add at most ${MAX_FAQ_ENTRIES} questions.`, adminPanel);
+        } else {
+          await bot.telegram.sendMessage(chatId,
+            action === 'faq_add' ? '❓ Send the question:' : '📁 Send the file to share (document, photo, video, audio or voice):',
+            cancelKeyboard
+          );
+          botUser.adminState = action === 'faq_add' ? 'awaiting_faq_question' : 'awaiting_shared_file';
+          await botUser.save();
+        }
+      } else if (['faq_del', 'file_del'].includes(action) && mongoose.isValidObjectId(id)) {
+        const Model = action === 'faq_del' ? FaqEntry : SharedFile;
+        const deleted = await Model.findOneAndDelete({ _id: id, botToken });
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: deleted ? '✅ Removed' : '❌ Already removed.' });
+        const manager = action === 'faq_del'
+          ? buildFaqManager(await FaqEntry.find({ botToken }).sort({ createdAt: 1 }).lean())
+          : buildFileManager(await SharedFile.find({ botToken }).sort({ createdAt: 1 }).lean());
+        await bot.telegram.editMessageText(chatId, callbackQuery.message.message_id, undefined, manager.text, manager.extra)
+          .catch(() => {});
+      } else {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+      }
+    }
+
+    // Handle Channel Manager Callbacks (Admin Only)
+    else if (update.callback_query?.data?.startsWith('ch_') && can('settings')) {
+      const callbackQuery = update.callback_query;
+      const [action, indexStr] = callbackQuery.data.split(':');
+      const index = Number(indexStr);
+      const updatedChannels = [...channels];
+
+      if (action === 'ch_add') {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        if (channels.length >= MAX_CHANNELS) {
+          await bot.telegram.sendMessage(chatId, `❌ You can require at most ${MAX_CHANNELS} channels.`, adminPanel);
+        } else {
+          await bot.telegram.sendMessage(chatId,
+            `🔗 Enter the URL of the channel or group to add (e.g., https://t.me/your_channel):\n\n` +
+            `The bot must be an admin of the channel to verify that users joined.`,
+            cancelKeyboard
+          );
+          botUser.adminState = 'awaiting_channel';
+          await botUser.save();
+        }
+      } else if (action === 'ch_id' && updatedChannels[index]) {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id);
+        await bot.telegram.sendMessage(chatId,
+          `🆔 Forward any post from ${updatedChannels[index].url} here, or send the channel ID (e.g., -1001234567890):`,
+          cancelKeyboard
+        );
+        botUser.adminState = 'awaiting_channel_id';
+        botUser.adminTarget = String(index);
+        await botUser.save();
+      } else if (updatedChannels[index]) {
+        if (action === 'ch_up' && index > 0) {
+          [updatedChannels[index - 1], updatedChannels[index]] = [updatedChannels[index], updatedChannels[index - 1]];
+        } else if (action === 'ch_down' && index < updatedChannels.length - 1) {
+          [updatedChannels[index + 1], updatedChannels[index]] = [updatedChannels[index], updatedChannels[index + 1]];
+        } else if (action === 'ch_del') {
+          updatedChannels.splice(index, 1);
+        }
+        await saveChannels(botToken, updatedChannels);
 
-      await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: 'Thank you for joining!' });
-      await bot.telegram.sendMessage(chatId, 'Hi, how are you?');
+        const manager = buildChannelManager(updatedChannels);
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: '✅ Channels updated' });
+        await bot.telegram.editMessageText(chatId, callbackQuery.message.message_id, undefined, manager.text, manager.extra)
+          .catch((error) => console.error('Error updating channel manager:', error.message));
+      } else {
+        await bot.telegram.answerCallbackQuery(callbackQuery.id, { text: '❌ This channel no longer exists.' });
+      }
     }
 
     res.status(200).json({ ok: true });
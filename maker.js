@@ -1,17 +1,62 @@
 const { Telegraf } = require('telegraf');
 const mongoose = require('mongoose');
 const axios = require('axios');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { templates, DEFAULT_TEMPLATE } = require('./templates');
+const { tiers, DEFAULT_TIER, FEATURE_NAMES, BROADCAST_LIMIT_SINCE, getTier, getBroadcastLimit, getBotLimit } = require('./tiers');
+const {
+  BroadcastJob, BroadcastRecipient, parseUrlButtons, broadcastBuilderPrompt, saveBroadcastDraft, buildBroadcastProgress,
+  triggerBroadcastWorker, REPEAT_INTERVALS, formatUtcOffset, formatScheduleTime, getSchedulePrompt, parseSchedule,
+  buildScheduledList,
+} = require('./broadcasts');
+const {
+  BanSchema, BanRecord, BAN_DETAILS_PROMPT, banDetailsKeyboard, parseBanDuration, parseBanDetails, formatDuration,
+  getBanNotice, formatBanRecord, liftExpiredBan,
+} = require('./bans');
 
 // Initialize Maker Bot
 const MAKER_BOT_TOKEN = process.env.MAKER_BOT_TOKEN;
 const MONGO_URI = process.env.MONGO_URI;
 const OWNER_ID = process.env.OWNER_ID;
-
-if (!MAKER_BOT_TOKEN || !MONGO_URI || !OWNER_ID) {
-  console.error('Missing environment variables: MAKER_BOT_TOKEN, MONGO_URI, or OWNER_ID');
+const TOKEN_ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY;
+const WEBHOOK_BASE_URL = process.env.WEBHOOK_BASE_URL || 'https://vidsc-two.vercel.app';
+const CRON_SECRET = process.env.CRON_SECRET; // Vercel sends it as a Bearer token on cron requests
+
+// Broadcast worker limits, sized for serverless function timeouts
+const BROADCAST_TIME_BUDGET_MS = Number(process.env.BROADCAST_TIME_BUDGET_MS) || 8000;
+const BROADCAST_BATCH_SIZE = 25;
+const BROADCAST_MAX_ATTEMPTS = 3;
+
+// Typed by the owner to confirm /clear
+const CLEAR_CONFIRM_PHRASE = 'CLEAR ALL DATA';
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_MAX_BYTES = 20 * 1024 * 1024; // Bots can only download files up to 20 MB, so /restore could not read more
+const SNAPSHOT_CHUNK_SIZE = 1024 * 1024; // Text per gzip member; a restore step reads one member at a time
+const SNAPSHOT_PART_BYTES = 8 * 1024 * 1024; // Downloaded snapshots are stored in parts below the 16 MB document limit
+const SNAPSHOT_INSERT_BATCH_SIZE = 1000;
+
+// How long a recipient has to accept a bot ownership transfer
+const TRANSFER_TTL_HOURS = 24;
+
+// Bot health monitor, run by the Vercel cron
+const HEALTH_CHECK_INTERVAL = 6 * 3600; // Seconds between checks of the same bot
+const HEALTH_CHECK_BATCH_SIZE = 50;
+const HEALTH_ERROR_WINDOW = 3600; // Webhook delivery errors newer than this make a bot degraded
+const DEAD_CHECKS_BEFORE_REMOVAL = 2; // Consecutive dead checks before the owner can remove a bot
+
+// Bots a user may create unless the owner changes it from 💎 Plans
+const DEFAULT_BOT_QUOTA = 3;
+
+if (!MAKER_BOT_TOKEN || !MONGO_URI || !OWNER_ID || !TOKEN_ENCRYPTION_KEY || !CRON_SECRET) {
+  console.error('Missing environment variables: MAKER_BOT_TOKEN, MONGO_URI, OWNER_ID, TOKEN_ENCRYPTION_KEY, or CRON_SECRET');
   process.exit(1);
 }
 
+// Keys derived from TOKEN_ENCRYPTION_KEY: one encrypts bot tokens, the other hashes them for lookups
+const tokenCipherKey = Buffer.from(crypto.hkdfSync('sha256', TOKEN_ENCRYPTION_KEY, '', 'bot-token-encryption', 32));
+const tokenHashKey = Buffer.from(crypto.hkdfSync('sha256', TOKEN_ENCRYPTION_KEY, '', 'bot-token-hash', 32));
+
 const makerBot = new Telegraf(MAKER_BOT_TOKEN);
 
 // MongoDB Connection
@@ -28,35 +73,140 @@ const UserSchema = new mongoose.Schema({
   step: { type: String, default: 'none' },
   adminState: { type: String, default: 'none' },
   isBlocked: { type: Boolean, default: false },
+  ban: { type: BanSchema },
   username: { type: String },
   referredBy: { type: String, default: 'None' },
   isFirstStart: { type: Boolean, default: true }, // Added to track first start
+  adminTarget: { type: String }, // What the current admin state applies to (e.g. a broadcast ID)
+  timezone: { type: Number, default: 0 }, // UTC offset in minutes, used for scheduling
+  isActive: { type: Boolean, default: true }, // False once the user blocked the bot or deleted their account
+  inactiveReason: { type: String }, // blocked, deactivated or forbidden
+  inactiveAt: { type: Number },
+  pendingTemplate: { type: String }, // Template picked in Create Bot, used once the token is sent
+  pendingBotId: { type: String }, // Bot picked in Update Token, used once the new token is sent
+  apiKeyHash: { type: String, unique: true, sparse: true }, // SHA-256 of the REST API key, see hashApiKey
+  apiKeyCreatedAt: { type: Number },
+  tier: { type: String, default: DEFAULT_TIER }, // See tiers.js
+  botQuota: { type: Number }, // Granted by the owner; replaces the tier and default quota
 });
 
+// Bots not migrated by /migrate_tokens yet have only a plaintext token
+function isMigratedBot() {
+  return !this.token;
+}
+
 const BotSchema = new mongoose.Schema({
-  token: { type: String, required: true, unique: true },
+  tokenHash: { type: String, required: isMigratedBot, unique: true }, // Keyed hash of the token, see hashToken
+  // Telegram ID of the bot. Unlike the token it survives a token change in @BotFather, so all
+  // records of the bot are keyed by it (in fields still named botToken)
+  botId: { type: String, unique: true, sparse: true },
+  tokenEncrypted: { type: String, required: isMigratedBot }, // AES-256-GCM encrypted token, see encryptToken
+  token: { type: String }, // Plaintext token of bots not migrated by /migrate_tokens yet
   username: { type: String, required: true },
   creatorId: { type: String, required: true },
   creatorUsername: { type: String },
   createdAt: { type: Number, default: () => Math.floor(Date.now() / 1000) },
+  webhookId: { type: String, unique: true, sparse: true }, // Opaque path segment of the webhook URL
+  webhookSecret: { type: String }, // Sent by Telegram in X-Telegram-Bot-Api-Secret-Token
+  template: { type: String, default: DEFAULT_TEMPLATE }, // Behavior after the join gate, see templates/
+  health: { type: String, default: 'healthy' }, // healthy, degraded or dead, see runHealthMonitor
+  healthIssue: { type: String }, // What made the bot degraded or dead
+  healthCheckedAt: { type: Number },
+  deadChecks: { type: Number, default: 0 }, // Consecutive checks that found the bot dead
 });
 
+BotSchema.index({ healthCheckedAt: 1 });
+BotSchema.index({ health: 1 });
+
 const BotUserSchema = new mongoose.Schema({
-  botToken: { type: String, required: true },
+  botToken: { type: String, required: true }, // Bot.botId
   userId: { type: String, required: true },
   hasJoined: { type: Boolean, default: false },
   step: { type: String, default: 'none' },
+  isBlocked: { type: Boolean, default: false },
+  ban: { type: BanSchema },
+  isActive: { type: Boolean, default: true },
+  inactiveReason: { type: String },
+  inactiveAt: { type: Number },
 });
 
 const ChannelUrlSchema = new mongoose.Schema({
-  botToken: { type: String, required: true, unique: true },
-  url: { type: String, default: 'https://t.me/Kali_Linux_BOTS' },
+  botToken: { type: String, required: true, unique: true }, // Bot.botId
+  url: { type: String, default: 'https://t.me/Kali_Linux_BOTS' }, // Legacy single channel
+  chatId: { type: String },
+  channels: { type: [{ url: String, chatId: String, _id: false }], default: undefined }, // Same layout as in created.js
+});
+
+// Bot Maker settings changed by the owner, e.g. defaultBotQuota
+const SettingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: { type: mongoose.Schema.Types.Mixed },
+});
+
+// Pending bot ownership transfers, started from My Bots and accepted by the recipient
+const BotTransferSchema = new mongoose.Schema({
+  botToken: { type: String, required: true, unique: true }, // Bot.botId; one pending transfer per bot
+  fromUserId: { type: String, required: true },
+  toUserId: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+});
+
+BotTransferSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// /clear and /restore, run by the broadcast worker in steps that resume where the last run stopped
+const MaintenanceJobSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // clear or restore
+  adminId: { type: String, required: true },
+  deleteWebhooks: { type: Boolean, default: false }, // clear
+  fileId: { type: String }, // restore: Telegram file ID of the snapshot
+  collections: { type: [String], default: [] }, // clear: models in the snapshot, in snapshot order
+  phase: { type: String, required: true }, // snapshot, send, webhooks, delete (clear) or download, restore, webhooks (restore)
+  status: { type: String, default: 'running' }, // running, completed or failed
+  cursor: { type: mongoose.Schema.Types.Mixed, default: {} }, // Progress within the phase
+  lastIds: { type: mongoose.Schema.Types.Mixed, default: {} }, // clear: last _id of each collection in the snapshot
+  result: { type: mongoose.Schema.Types.Mixed, default: {} },
+  failures: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: () => new Date(0) }, // Held by the worker processing the job
+  createdAt: { type: Number, default: () => Math.floor(Date.now() / 1000) },
+  finishedAt: { type: Number },
+}, { minimize: false });
+
+MaintenanceJobSchema.index({ status: 1, lockedUntil: 1 });
+
+// Pieces of the snapshot a maintenance job writes or downloads
+const SnapshotPartSchema = new mongoose.Schema({
+  jobId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  seq: { type: Number, required: true },
+  data: { type: Buffer, required: true },
+});
+
+SnapshotPartSchema.index({ jobId: 1, seq: 1 }, { unique: true });
+
+// Data stored by created.js for each created bot; only the key is needed here to delete it
+const createdBotDataSchema = () => new mongoose.Schema({
+  botToken: { type: String, required: true }, // Bot.botId
 });
 
 const User = mongoose.model('User', UserSchema);
 const Bot = mongoose.model('Bot', BotSchema);
 const BotUser = mongoose.model('BotUser', BotUserSchema);
 const ChannelUrl = mongoose.model('ChannelUrl', ChannelUrlSchema);
+const Setting = mongoose.model('Setting', SettingSchema);
+const BotTransfer = mongoose.model('BotTransfer', BotTransferSchema);
+const MaintenanceJob = mongoose.model('MaintenanceJob', MaintenanceJobSchema);
+const SnapshotPart = mongoose.model('SnapshotPart', SnapshotPartSchema);
+
+const FaqEntry = mongoose.model('FaqEntry', createdBotDataSchema());
+const SharedFile = mongoose.model('SharedFile', createdBotDataSchema());
+const SupportMessage = mongoose.model('SupportMessage', createdBotDataSchema());
+const BotMessage = mongoose.model('BotMessage', createdBotDataSchema());
+const BotCommand = mongoose.model('BotCommand', createdBotDataSchema());
+const AutoReply = mongoose.model('AutoReply', createdBotDataSchema());
+const AutoReplyCooldown = mongoose.model('AutoReplyCooldown', createdBotDataSchema());
+const ReferralMilestone = mongoose.model('ReferralMilestone', createdBotDataSchema());
+const BotAdmin = mongoose.model('BotAdmin', createdBotDataSchema());
+const BotAdminInvite = mongoose.model('BotAdminInvite', createdBotDataSchema());
+const BotDailyStat = mongoose.model('BotDailyStat', createdBotDataSchema());
 
 // Keyboards
 const mainMenu = {
@@ -65,6 +215,7 @@ const mainMenu = {
       [{ text: '🛠 Create Bot' }],
       [{ text: '🗑️ Delete Bot' }],
       [{ text: '📋 My Bots' }],
+      [{ text: '🔁 Update Token' }, { text: '🔑 API Key' }],
     ],
     resize_keyboard: true,
   },
@@ -76,8 +227,12 @@ const ownerAdminPanel = {
       [{ text: '📊 Statistics' }],
       [{ text: '📢 Broadcast User' }],
       [{ text: '📣 Broadcast Sub' }],
+      [{ text: '🗓 Scheduled' }],
       [{ text: '🚫 Block' }],
       [{ text: '🔓 Unlock' }],
+      [{ text: '📜 Ban History' }],
+      [{ text: '💎 Plans' }],
+      [{ text: '🩺 Bot Health' }],
       [{ text: '🗑️ Remove Bot' }],
       [{ text: '↩️ Back' }],
     ],
@@ -85,6 +240,13 @@ const ownerAdminPanel = {
   },
 };
 
+const broadcastBuilderKeyboard = {
+  reply_markup: {
+    keyboard: [[{ text: '✅ Send Now' }, { text: '🕒 Schedule' }], [{ text: 'Cancel' }]],
+    resize_keyboard: true,
+  },
+};
+
 const cancelKeyboard = {
   reply_markup: {
     keyboard: [[{ text: 'Cancel' }]],
@@ -92,6 +254,13 @@ const cancelKeyboard = {
   },
 };
 
+const banScopeKeyboard = {
+  reply_markup: {
+    keyboard: [[{ text: '🤖 Bot Maker only' }], [{ text: '🌐 Everywhere' }], [{ text: 'Cancel' }]],
+    resize_keyboard: true,
+  },
+};
+
 const backKeyboard = {
   reply_markup: {
     keyboard: [[{ text: 'Back' }]],
@@ -100,6 +269,28 @@ const backKeyboard = {
 };
 
 // Helper Functions
+const hashToken = (token) => crypto.createHmac('sha256', tokenHashKey).update(token).digest('hex');
+
+const encryptToken = (token) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', tokenCipherKey, iv);
+  const encrypted = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+};
+
+const decryptToken = (tokenEncrypted) => {
+  const [iv, authTag, encrypted] = tokenEncrypted.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', tokenCipherKey, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Bots not migrated by /migrate_tokens yet keep a plaintext token
+const getBotToken = (bot) => (bot.tokenEncrypted ? decryptToken(bot.tokenEncrypted) : bot.token);
+
+// Keeps the bot ID and the last characters, e.g. 123456789:****wxyz
+const maskToken = (token) => `${token.split(':')[0]}:****${token.slice(-4)}`;
+
 const validateBotToken = async (token) => {
   try {
     const response = await axios.get(`https://api.telegram.org/bot${token}/getMe`);
@@ -110,11 +301,16 @@ const validateBotToken = async (token) => {
   }
 };
 
-const setWebhook = async (token) => {
-  const webhookUrl = `https://vidsc-two.vercel.app/created?token=${encodeURIComponent(token)}`;
+const generateWebhookCredentials = () => ({
+  webhookId: crypto.randomBytes(16).toString('hex'),
+  webhookSecret: crypto.randomBytes(32).toString('hex'),
+});
+
+const setWebhook = async (token, { webhookId, webhookSecret }) => {
+  const webhookUrl = `${WEBHOOK_BASE_URL}/created/${webhookId}`;
   try {
     const response = await axios.get(`https://api.telegram.org/bot${token}/setWebhook`, {
-      params: { url: webhookUrl },
+      params: { url: webhookUrl, secret_token: webhookSecret },
     });
     return response.data.ok;
   } catch (error) {
@@ -133,78 +329,949 @@ const deleteWebhook = async (token) => {
   }
 };
 
-const broadcastMessage = async (bot, message, targetUsers, adminId) => {
-  let successCount = 0;
-  let failCount = 0;
+// Records of a created bot are keyed by its Telegram bot ID. Bots that /migrate_bot_ids has not
+// re-keyed yet, or skipped as duplicates, keep them under the token hash, and bots /migrate_tokens
+// has not encrypted yet under the plaintext token.
+const getBotKey = (bot) => bot.botId || bot.tokenHash || bot.token;
+
+const getBotKeyFilter = (botKey) => ({ $or: [{ botId: botKey }, { tokenHash: botKey }, { token: botKey }] });
+
+const findBotByKey = (botKey) => Bot.findOne(getBotKeyFilter(botKey));
+
+// Every collection with records of a created bot, keyed by getBotKey in botToken
+const BOT_DATA_MODELS = [
+  BotUser, ChannelUrl, BroadcastJob, BroadcastRecipient, FaqEntry, SharedFile, SupportMessage, BotMessage, BotCommand,
+  AutoReply, AutoReplyCooldown, ReferralMilestone, BotAdmin, BotAdminInvite, BotDailyStat, BanRecord, BotTransfer,
+];
+
+// Removes a created bot with its users and settings, and disconnects its webhook
+const deleteBotData = async (bot) => {
+  const botKey = getBotKey(bot);
+  await deleteWebhook(getBotToken(bot));
+  await Bot.deleteOne({ _id: bot._id });
+  // An undefined key would be sent as null and match every record without a botToken,
+  // such as Bot Maker broadcasts and global bans
+  if (!botKey) return;
+  for (const Model of BOT_DATA_MODELS) {
+    await Model.deleteMany({ botToken: botKey });
+  }
+};
+
+// Full database snapshots for /clear and /restore: a header line, then for each collection a line
+// with its name followed by one line per document. Lines are canonical EJSON, so ObjectIds, dates
+// and numbers come back with their original types.
+const { EJSON } = mongoose.mongo.BSON;
+
+// The jobs that take and restore snapshots are not part of them
+const MAINTENANCE_MODELS = ['MaintenanceJob', 'SnapshotPart'];
+
+const getSnapshotModelNames = () => mongoose.modelNames().filter((name) => !MAINTENANCE_MODELS.includes(name));
+
+const toSnapshotLine = (value) => `${EJSON.stringify(value, { relaxed: false })}\n`;
+
+// Snapshots are gzip members of whole lines written one after another, which together form one
+// valid gzip file. A restore step reads one member at a time, so it can resume at the offset of the
+// next one. Plain (unzipped) snapshots are read in runs of whole lines instead.
+// Returns { text, next } where next is the offset after what was read.
+const readSnapshotChunk = (file, offset) => {
+  if (file[0] === 0x1f && file[1] === 0x8b) {
+    // Members written by zlib.gzipSync have a 10-byte header without optional fields and an 8-byte trailer
+    if (file[offset] !== 0x1f || file[offset + 1] !== 0x8b || file[offset + 3] !== 0) {
+      throw new Error('Unexpected data between gzip members');
+    }
+    const { buffer, engine } = zlib.inflateRawSync(file.subarray(offset + 10), { info: true });
+    return { text: buffer.toString('utf8'), next: offset + 10 + engine.bytesWritten + 8 };
+  }
+  const end = file.indexOf(0x0a, offset + SNAPSHOT_CHUNK_SIZE);
+  const next = end === -1 ? file.length : end + 1;
+  return { text: file.subarray(offset, next).toString('utf8'), next };
+};
+
+const readSnapshotFile = async (job) => Buffer.concat(
+  (await SnapshotPart.find({ jobId: job._id }).sort({ seq: 1 })).map((part) => part.data)
+);
+
+// Saving progress also resets the count of failed runs, which only stops jobs that are stuck
+const saveMaintenanceJob = (job) => MaintenanceJob.updateOne({ _id: job._id }, {
+  phase: job.phase,
+  cursor: job.cursor,
+  lastIds: job.lastIds,
+  result: job.result,
+  failures: 0,
+});
+
+const finishMaintenanceJob = async (job, status, text, extra) => {
+  job.status = status;
+  await MaintenanceJob.updateOne({ _id: job._id }, { status, finishedAt: Math.floor(Date.now() / 1000) });
+  await SnapshotPart.deleteMany({ jobId: job._id });
+  await makerBot.telegram.sendMessage(job.adminId, text, extra)
+    .catch((error) => console.error(`Error reporting ${job.type} job:`, error.message));
+};
+
+// clear, step 1: writes every collection into snapshot parts of one gzip member each. The last
+// _id written per collection bounds what the delete step removes, so records added while the job
+// runs are neither lost nor deleted.
+const writeSnapshotStep = async (job, deadline) => {
+  const { cursor } = job; // { index, lastId, started, seq, size }
+  let pending = cursor.seq === 0 && cursor.index === 0 && !cursor.started
+    ? toSnapshotLine({ version: SNAPSHOT_VERSION, createdAt: new Date(job.createdAt * 1000) })
+    : '';
+  const flush = async () => {
+    if (!pending) return;
+    const data = zlib.gzipSync(pending);
+    await SnapshotPart.updateOne({ jobId: job._id, seq: cursor.seq }, { data }, { upsert: true });
+    cursor.seq++;
+    cursor.size += data.length;
+    pending = '';
+    await saveMaintenanceJob(job);
+  };
+  const isTooLarge = () => cursor.size > SNAPSHOT_MAX_BYTES;
+
+  while (cursor.index < job.collections.length) {
+    const name = job.collections[cursor.index];
+    if (!cursor.started) {
+      pending += toSnapshotLine({ collection: name });
+      cursor.started = true;
+    }
+    const filter = cursor.lastId === null ? {} : { _id: { $gt: cursor.lastId } };
+    for await (const document of mongoose.model(name).collection.find(filter).sort({ _id: 1 })) {
+      pending += toSnapshotLine({ document });
+      cursor.lastId = document._id;
+      if (pending.length >= SNAPSHOT_CHUNK_SIZE || Date.now() >= deadline) {
+        await flush();
+        if (isTooLarge() || Date.now() >= deadline) break;
+      }
+    }
+    if (isTooLarge()) {
+      await finishMaintenanceJob(job, 'failed',
+        '❌ The snapshot would be larger than 20 MB, which /restore cannot download, so nothing was deleted.', ownerAdminPanel);
+      return;
+    }
+    if (Date.now() >= deadline) {
+      await flush();
+      return;
+    }
+    job.lastIds[name] = cursor.lastId;
+    Object.assign(cursor, { index: cursor.index + 1, lastId: null, started: false });
+  }
+
+  await flush();
+  if (isTooLarge()) {
+    await finishMaintenanceJob(job, 'failed',
+      '❌ The snapshot would be larger than 20 MB, which /restore cannot download, so nothing was deleted.', ownerAdminPanel);
+    return;
+  }
+  job.phase = 'send';
+  job.cursor = {};
+  await saveMaintenanceJob(job);
+};
+
+// clear, step 2: nothing is deleted unless the owner has the snapshot
+const sendSnapshotStep = async (job) => {
+  const filename = `bot-maker-snapshot-${new Date(job.createdAt * 1000).toISOString().replace(/[:.]/g, '-')}.json.gz`;
+  try {
+    await makerBot.telegram.sendDocument(job.adminId, { source: await readSnapshotFile(job), filename }, {
+      caption: '💾 Snapshot taken before /clear. Send /restore and then this file to bring the data back.',
+    });
+  } catch (error) {
+    console.error('Error sending snapshot:', error.message);
+    await finishMaintenanceJob(job, 'failed', '❌ Could not send the snapshot, so nothing was deleted.', ownerAdminPanel);
+    return;
+  }
+  const deleteWebhooks = job.deleteWebhooks && job.lastIds.Bot;
+  job.phase = deleteWebhooks ? 'webhooks' : 'delete';
+  job.cursor = deleteWebhooks ? { lastId: null } : { index: 0 };
+  await saveMaintenanceJob(job);
+};
+
+// clear, step 3 (optional): deletes the webhooks of the bots in the snapshot.
+// restore, step 3: points the webhooks of the restored bots back at Bot Maker, since /clear may have deleted them.
+const updateWebhooksStep = async (job, deadline) => {
+  const { cursor } = job; // { lastId }
+  job.result.webhookFailed = job.result.webhookFailed || [];
+  const filter = job.type === 'clear' ? { _id: { $lte: job.lastIds.Bot } } : { webhookId: { $exists: true } };
+  if (cursor.lastId !== null) filter._id = { ...filter._id, $gt: cursor.lastId };
+
+  for await (const bot of Bot.find(filter).sort({ _id: 1 }).cursor()) {
+    if (Date.now() >= deadline) return;
+    const ok = job.type === 'clear' ? await deleteWebhook(getBotToken(bot)) : await setWebhook(getBotToken(bot), bot);
+    if (!ok) job.result.webhookFailed.push(`@${bot.username}`);
+    cursor.lastId = bot._id;
+    await saveMaintenanceJob(job);
+  }
+
+  if (job.type === 'clear') {
+    job.phase = 'delete';
+    job.cursor = { index: 0 };
+    await saveMaintenanceJob(job);
+    return;
+  }
+
+  const { restored, skipped, failed, webhookFailed } = job.result;
+  // The restored owner record carries the state it had when the snapshot was taken
+  await User.findOneAndUpdate({ userId: job.adminId }, { step: 'none', adminState: 'admin_panel' });
+  await finishMaintenanceJob(job, 'completed',
+    (failed.length ? '⚠️ Snapshot partly restored.\n\n' : '✅ Snapshot restored.\n\n') +
+    Object.entries(restored).map(([name, count]) => `• ${name}: ${count}`).join('\n') +
+    (failed.length ? `\n\n❌ Not restored, current data kept: ${failed.join(', ')}` : '') +
+    (skipped.length ? `\n\n⚠️ Skipped unknown collections: ${skipped.join(', ')}` : '') +
+    (webhookFailed.length ? `\n❌ Could not restore the webhooks of: ${webhookFailed.join(', ')}` : ''),
+    ownerAdminPanel
+  );
+};
+
+// clear, step 4: deletes what the snapshot holds, one collection at a time
+const deleteSnapshotDataStep = async (job, deadline) => {
+  const { cursor } = job; // { index }
+  while (cursor.index < job.collections.length) {
+    if (Date.now() >= deadline) return;
+    const name = job.collections[cursor.index];
+    const lastId = job.lastIds[name];
+    if (lastId !== null && lastId !== undefined && mongoose.modelNames().includes(name)) {
+      await mongoose.model(name).collection.deleteMany({ _id: { $lte: lastId } });
+    }
+    cursor.index++;
+    await saveMaintenanceJob(job);
+  }
+
+  const webhookFailed = job.result.webhookFailed || [];
+  console.log('All data cleared successfully');
+  await finishMaintenanceJob(job, 'completed',
+    '✅ All data has been cleared. Bot Maker is reset.' +
+    (job.deleteWebhooks ? '\n🔌 Webhooks of the created bots were deleted.' : '') +
+    (webhookFailed.length ? `\n❌ Could not delete the webhooks of: ${webhookFailed.join(', ')}` : ''),
+    mainMenu
+  );
+};
+
+// restore, step 1: downloads the file once and keeps it in parts for the restore step
+const downloadSnapshotStep = async (job) => {
+  const link = await makerBot.telegram.getFileLink(job.fileId);
+  const response = await axios.get(link.href, { responseType: 'arraybuffer' });
+  const file = Buffer.from(response.data);
+
+  let header = null;
+  try {
+    header = EJSON.parse(readSnapshotChunk(file, 0).text.split('\n', 1)[0], { relaxed: false });
+  } catch (error) {
+    // Not a snapshot, handled below
+  }
+  if (header?.version !== SNAPSHOT_VERSION) {
+    await finishMaintenanceJob(job, 'failed', '❌ This file is not a Bot Maker snapshot. Send /restore to try another file.', ownerAdminPanel);
+    return;
+  }
+
+  for (let seq = 0; seq * SNAPSHOT_PART_BYTES < file.length; seq++) {
+    const data = file.subarray(seq * SNAPSHOT_PART_BYTES, (seq + 1) * SNAPSHOT_PART_BYTES);
+    await SnapshotPart.updateOne({ jobId: job._id, seq }, { data }, { upsert: true });
+  }
+  job.phase = 'restore';
+  job.cursor = { offset: 0, line: 1, current: null }; // Line 0 is the header
+  job.result = { restored: {}, skipped: [], failed: [] };
+  await saveMaintenanceJob(job);
+};
+
+// restore, step 2: rebuilds each collection in a temporary collection with the same indexes and
+// renames it over the original, so a collection that fails keeps its current data. Progress is
+// saved after every batch; documents are upserted by _id, so a batch repeated after a timeout
+// doesn't fail.
+const restoreSnapshotStep = async (job, deadline) => {
+  const file = await readSnapshotFile(job);
+  const { db } = mongoose.connection;
+  const { cursor, result } = job; // { offset, line, current: { name, collectionName, skip, error } }
+  const getTemp = ({ collectionName }) => db.collection(`${collectionName}_restore`);
+  let batch = [];
+
+  const insertBatch = async () => {
+    const { current } = cursor;
+    if (batch.length > 0 && current && !current.skip && !current.error) {
+      try {
+        await getTemp(current).bulkWrite(batch.map((document) => ({
+          replaceOne: { filter: { _id: document._id }, replacement: document, upsert: true },
+        })));
+      } catch (error) {
+        current.error = error.message;
+      }
+    }
+    batch = [];
+  };
+
+  const finishCollection = async () => {
+    const { current } = cursor;
+    cursor.current = null;
+    if (!current || current.skip) return;
+    const temp = getTemp(current);
+    if (!current.error) {
+      try {
+        const target = db.collection(current.collectionName);
+        // Renamed by a run that stopped before saving its progress
+        if ((await db.listCollections({ name: temp.collectionName }).toArray()).length === 0) {
+          result.restored[current.name] = await target.countDocuments();
+          return;
+        }
+        const count = await temp.countDocuments();
+        const indexes = await target.indexes().catch(() => []);
+        for (const { key, v, ns, ...options } of indexes) {
+          if (options.name !== '_id_') await temp.createIndex(key, options);
+        }
+        await temp.rename(current.collectionName, { dropTarget: true });
+        result.restored[current.name] = count;
+        return;
+      } catch (error) {
+        current.error = error.message;
+      }
+    }
+    result.failed.push(`${current.name} (${current.error})`);
+    await temp.drop().catch(() => {});
+  };
+
+  const startCollection = async (name) => {
+    if (!getSnapshotModelNames().includes(name)) {
+      result.skipped.push(name);
+      cursor.current = { name, skip: true };
+      return;
+    }
+    const { collectionName } = mongoose.model(name).collection;
+    const temp = getTemp({ collectionName });
+    await temp.drop().catch(() => {}); // Left over by an interrupted restore
+    await db.createCollection(temp.collectionName);
+    cursor.current = { name, collectionName };
+  };
+
+  // A truncated or corrupt file must not replace the collection being read
+  const stopAtCorruptData = (error) => {
+    if (cursor.current && !cursor.current.skip) cursor.current.error = `Corrupt snapshot: ${error.message}`;
+    cursor.offset = file.length;
+  };
+
+  while (cursor.offset < file.length) {
+    if (Date.now() >= deadline) return;
+    let chunk;
+    try {
+      chunk = readSnapshotChunk(file, cursor.offset);
+    } catch (error) {
+      stopAtCorruptData(error);
+      break;
+    }
+
+    const lines = chunk.text.split('\n');
+    for (let index = cursor.line; index < lines.length && cursor.offset < file.length; index++) {
+      if (!lines[index]) continue;
+      let entry;
+      try {
+        entry = EJSON.parse(lines[index], { relaxed: false });
+      } catch (error) {
+        await insertBatch();
+        stopAtCorruptData(error);
+        break;
+      }
+      if (typeof entry?.collection === 'string') {
+        await insertBatch();
+        await finishCollection();
+        await startCollection(entry.collection);
+        cursor.line = index + 1;
+        await saveMaintenanceJob(job);
+      } else if (entry?.document && cursor.current && !cursor.current.skip && !cursor.current.error) {
+        batch.push(entry.document);
+        if (batch.length >= SNAPSHOT_INSERT_BATCH_SIZE) {
+          await insertBatch();
+          cursor.line = index + 1;
+          await saveMaintenanceJob(job);
+        }
+      }
+    }
+    await insertBatch();
+    if (cursor.offset < file.length) {
+      cursor.offset = chunk.next;
+      cursor.line = 0;
+    }
+    await saveMaintenanceJob(job);
+  }
+
+  await finishCollection();
+  job.phase = 'webhooks';
+  job.cursor = { lastId: null };
+  await saveMaintenanceJob(job);
+};
+
+const MAINTENANCE_STEPS = {
+  snapshot: writeSnapshotStep,
+  send: sendSnapshotStep,
+  webhooks: updateWebhooksStep,
+  delete: deleteSnapshotDataStep,
+  download: downloadSnapshotStep,
+  restore: restoreSnapshotStep,
+};
+
+// Runs the pending /clear or /restore job, if any, until the deadline. Returns whether it has work left.
+const runMaintenanceJob = async (deadline) => {
+  const job = await MaintenanceJob.findOneAndUpdate(
+    { status: 'running', lockedUntil: { $lt: new Date() } },
+    { lockedUntil: new Date(Date.now() + BROADCAST_TIME_BUDGET_MS + 30000) },
+    { new: true, sort: { createdAt: 1 } }
+  ).lean();
+  if (!job) return false;
+
+  try {
+    for (let step = 0; job.status === 'running' && Date.now() < deadline; step++) {
+      // Sending or downloading the snapshot can take most of a run, so it only starts at the beginning of one
+      if (step > 0 && ['send', 'download'].includes(job.phase)) break;
+      const phase = job.phase;
+      await MAINTENANCE_STEPS[phase](job, deadline);
+      if (job.phase === phase) break; // Stopped at the deadline
+    }
+  } catch (error) {
+    // The next run resumes from the last saved progress
+    console.error(`Error in ${job.type} job ${job._id}:`, error);
+    const { failures } = await MaintenanceJob.findOneAndUpdate({ _id: job._id }, { $inc: { failures: 1 } }, { new: true });
+    if (failures >= BROADCAST_MAX_ATTEMPTS) {
+      await finishMaintenanceJob(job, 'failed', `❌ /${job.type} stopped after repeated errors: ${error.message}`, ownerAdminPanel);
+    }
+  } finally {
+    await MaintenanceJob.updateOne({ _id: job._id }, { lockedUntil: new Date(0) });
+  }
+  return job.status === 'running';
+};
+
+// Moves a created bot to a new token from @BotFather. Its records are keyed by the bot ID, so
+// they stay as they are. Returns { bot }, or { error } with 'invalid_token', 'other_bot',
+// 'same_token', 'token_in_use' or 'webhook_failed'.
+const updateBotToken = async (bot, token) => {
+  const botInfo = await validateBotToken(token);
+  if (!botInfo) return { error: 'invalid_token' };
+  if (String(botInfo.id) !== bot.botId) return { error: 'other_bot', username: botInfo.username };
+
+  const tokenHash = hashToken(token);
+  if (tokenHash === bot.tokenHash) return { error: 'same_token' };
+  if (await Bot.exists({ tokenHash })) return { error: 'token_in_use' };
+
+  // The webhook URL and secret stay the same; only the token they're registered with changes
+  const webhookCredentials = bot.webhookId ? { webhookId: bot.webhookId, webhookSecret: bot.webhookSecret } : generateWebhookCredentials();
+  if (!await setWebhook(token, webhookCredentials)) return { error: 'webhook_failed' };
+
+  Object.assign(bot, webhookCredentials, {
+    tokenHash,
+    tokenEncrypted: encryptToken(token),
+    username: botInfo.username,
+    health: 'healthy',
+    healthIssue: undefined,
+    deadChecks: 0,
+  });
+  await bot.save();
+  return { bot };
+};
+
+const getSetting = async (key, defaultValue) => {
+  const setting = await Setting.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+const setSetting = (key, value) => Setting.updateOne({ key }, { value }, { upsert: true });
+
+// Bots a user may create: an owner grant, else the tier limit (at least the default quota),
+// plus one slot for every referralsPerBonusSlot users who started Bot Maker with their link
+const getBotQuota = async (user) => {
+  const tier = getTier(user?.tier);
+  const base = user?.botQuota ?? getBotLimit(tier, await getSetting('defaultBotQuota', DEFAULT_BOT_QUOTA));
+  const referralsPerBonusSlot = await getSetting('referralsPerBonusSlot', 0);
+  const referrals = referralsPerBonusSlot > 0 && user ? await User.countDocuments({ referredBy: user.userId }) : 0;
+  const bonus = referralsPerBonusSlot > 0 ? Math.floor(referrals / referralsPerBonusSlot) : 0;
+  return { tier, base, bonus, referrals, referralsPerBonusSlot, total: base + bonus };
+};
+
+// The owner has no quota
+const hasReachedBotQuota = async (userId) => {
+  if (userId === OWNER_ID) return false;
+  const quota = await getBotQuota(await User.findOne({ userId }));
+  return await Bot.countDocuments({ creatorId: userId }) >= quota.total;
+};
+
+const getQuotaReachedText = async (user) => {
+  const quota = await getBotQuota(user);
+  let text = `❌ You have reached your limit of ${quota.total} bots (${quota.tier.name}). Delete a bot to make room`;
+  text += quota.referralsPerBonusSlot > 0
+    ? `, or invite ${quota.referralsPerBonusSlot} more people to Bot Maker to get an extra slot.`
+    : '.';
+  return text;
+};
+
+// Registers a created bot from its token and notifies the owner. Returns { bot }, or { error }
+// with 'invalid_token', 'quota_reached', 'token_in_use', 'bot_exists' or 'webhook_failed'.
+const createBotFromToken = async ({ token, creatorId, creatorUsername, creatorName, template }) => {
+  const botInfo = await validateBotToken(token);
+  if (!botInfo) return { error: 'invalid_token' };
+
+  if (await hasReachedBotQuota(creatorId)) return { error: 'quota_reached' };
+
+  if (await Bot.exists({ $or: [{ tokenHash: hashToken(token) }, { token }] })) return { error: 'token_in_use' };
+  if (await Bot.exists({ botId: String(botInfo.id) })) return { error: 'bot_exists' };
+
+  const webhookCredentials = generateWebhookCredentials();
+  const webhookSet = await setWebhook(token, webhookCredentials);
+  if (!webhookSet) return { error: 'webhook_failed' };
+
+  const botTemplate = templates[template] ? template : DEFAULT_TEMPLATE;
+  const bot = await Bot.create({
+    tokenHash: hashToken(token),
+    tokenEncrypted: encryptToken(token),
+    botId: String(botInfo.id),
+    username: botInfo.username,
+    creatorId,
+    creatorUsername: creatorUsername || creatorName,
+    template: botTemplate,
+    ...webhookCredentials,
+  });
+
+  const totalBots = await Bot.countDocuments();
+  const createdAt = getRelativeTime(bot.createdAt);
+  const notification = `🤖 New Bot Created Notification 🤖\n` +
+                      `👤 Creator: ${creatorUsername ? `@${creatorUsername}` : creatorName}\n` +
+                      `🆔 Creator ID: ${creatorId}\n` +
+                      `🤖 Bot: @${botInfo.username}\n` +
+                      `🧩 Template: ${templates[botTemplate].name}\n` +
+                      `📅 Created: ${createdAt}\n` +
+                      `📊 Total Bots Created: ${totalBots}`;
+  await makerBot.telegram.sendMessage(OWNER_ID, notification);
+
+  return { bot };
+};
+
+// Sends a broadcast to one chat; throws the Telegram error on failure. Content is copied so
+// formatting, captions and media arrive exactly as authored.
+const sendBroadcastMessage = async (telegram, chatId, job) => {
+  const extra = job.buttons?.length ? { reply_markup: { inline_keyboard: job.buttons } } : {};
+  if (job.messageIds.length > 1) {
+    await telegram.copyMessages(chatId, job.fromChatId, [...job.messageIds].sort((a, b) => a - b));
+  } else if (job.messageIds.length === 1) {
+    await telegram.copyMessage(chatId, job.fromChatId, job.messageIds[0], extra);
+  } else {
+    // Created bots can't copy from the owner's chat with Bot Maker, so sub broadcasts resend the text
+    await telegram.sendMessage(chatId, job.message.text, { entities: job.message.entities, ...extra });
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-  for (const targetUser of targetUsers) {
-    if (targetUser.userId === adminId) continue;
+// Returns the Telegram client that sends a job's messages and progress updates:
+// the maker bot for maker/sub broadcasts, the created bot for its own broadcasts
+const getTelegramForBot = async (botToken) => {
+  if (!botToken) return makerBot.telegram;
+  const bot = await findBotByKey(botToken);
+  return bot ? new Telegraf(getBotToken(bot)).telegram : null;
+};
+
+const updateBroadcastProgress = async (job) => {
+  if (!job.progressMessageId) return;
+  const telegram = await getTelegramForBot(job.scope === 'bot' ? job.botToken : null);
+  if (!telegram) return;
+  const progress = buildBroadcastProgress(job);
+  await telegram.editMessageText(job.adminId, job.progressMessageId, undefined, progress.text, progress.extra)
+    .catch((error) => console.error('Error updating broadcast progress:', error.message));
+};
+
+// Starts a drafted broadcast: stores one recipient per target user and posts the progress message
+const startBroadcastJob = async (job) => {
+  const { scope, adminId, botToken } = job;
+
+  let recipients = [];
+  let total = 0;
+  const flush = async () => {
+    if (recipients.length === 0) return;
+    await BroadcastRecipient.insertMany(recipients, { ordered: false });
+    total += recipients.length;
+    recipients = [];
+  };
+  const addRecipient = async (recipient) => {
+    if (recipient.userId === adminId) return;
+    recipients.push({ jobId: job._id, ...recipient });
+    if (recipients.length >= 1000) await flush();
+  };
+
+  if (scope === 'user') {
+    for await (const user of User.find({ isBlocked: false, isActive: { $ne: false } }).select('userId').lean().cursor()) {
+      await addRecipient({ userId: user.userId });
+    }
+  } else {
+    const botFilter = scope === 'bot' ? getBotKeyFilter(botToken) : { health: { $ne: 'dead' } };
+    for await (const bot of Bot.find(botFilter).select('botId tokenHash token').lean().cursor()) {
+      const botKey = getBotKey(bot);
+      const botUsers = BotUser.find({ botToken: botKey, hasJoined: true, isBlocked: false, isActive: { $ne: false } })
+        .select('userId')
+        .lean();
+      for await (const botUser of botUsers.cursor()) {
+        await addRecipient({ userId: botUser.userId, botToken: botKey });
+      }
+    }
+  }
+  await flush();
+
+  job.total = total;
+  job.status = 'running';
+  const telegram = await getTelegramForBot(scope === 'bot' ? botToken : null);
+  const progress = buildBroadcastProgress(job);
+  // API broadcasts may come from creators who never started their bot, so this is best effort.
+  // There is no client if the bot was deleted since the job was queued.
+  const progressMessage = await telegram?.sendMessage(adminId, progress.text, progress.extra)
+    .catch((error) => console.error('Error posting broadcast progress:', error.message));
+  job.progressMessageId = progressMessage?.message_id;
+  await job.save();
+  return job;
+};
+
+// Starts scheduled broadcasts that are due. One-off jobs start themselves; recurring jobs
+// start a copy and move on to their next date. Claims are atomic so overlapping runs don't double-send.
+const dispatchScheduledBroadcasts = async () => {
+  let dispatched = 0;
+  const dueJobs = await BroadcastJob.find({ status: 'scheduled', scheduledAt: { $lte: new Date() } });
+
+  for (const job of dueJobs) {
+    let jobToStart;
     try {
-      if (message.text) {
-        await bot.telegram.sendMessage(targetUser.userId, message.text);
-      } else if (message.photo) {
-        const photo = message.photo[message.photo.length - 1].file_id;
-        await bot.telegram.sendPhoto(targetUser.userId, photo, { caption: message.caption || '' });
-      } else if (message.document) {
-        await bot.telegram.sendDocument(targetUser.userId, message.document.file_id, { caption: message.caption || '' });
-      } else if (message.video) {
-        await bot.telegram.sendVideo(targetUser.userId, message.video.file_id, { caption: message.caption || '' });
-      } else if (message.audio) {
-        await bot.telegram.sendAudio(targetUser.userId, message.audio.file_id, { caption: message.caption || '' });
-      } else if (message.voice) {
-        await bot.telegram.sendVoice(targetUser.userId, message.voice.file_id);
-      } else if (message.sticker) {
-        await bot.telegram.sendSticker(targetUser.userId, message.sticker.file_id);
+      if (REPEAT_INTERVALS[job.repeat]) {
+        let nextRun = job.scheduledAt.getTime();
+        while (nextRun <= Date.now()) nextRun += REPEAT_INTERVALS[job.repeat];
+        const claimed = await BroadcastJob.findOneAndUpdate(
+          { _id: job._id, status: 'scheduled', scheduledAt: job.scheduledAt },
+          { scheduledAt: new Date(nextRun) }
+        );
+        if (!claimed) continue;
+        jobToStart = await BroadcastJob.create({
+          scope: job.scope,
+          botToken: job.botToken,
+          adminId: job.adminId,
+          fromChatId: job.fromChatId,
+          messageIds: job.messageIds,
+          buttons: job.buttons,
+          message: job.message,
+          status: 'starting',
+        });
       } else {
-        await bot.telegram.sendMessage(targetUser.userId, 'Unsupported message type');
+        jobToStart = await BroadcastJob.findOneAndUpdate(
+          { _id: job._id, status: 'scheduled', scheduledAt: job.scheduledAt },
+          { status: 'starting' },
+          { new: true }
+        );
+        if (!jobToStart) continue;
       }
-      successCount++;
-      await new Promise(resolve => setTimeout(resolve, 34));
+
+      await startBroadcastJob(jobToStart);
+      dispatched++;
     } catch (error) {
-      console.error(`Broadcast failed for user ${targetUser.userId}:`, error.message);
-      failCount++;
+      console.error(`Failed to dispatch scheduled broadcast ${job._id}:`, error);
+      // For recurring jobs this is the copy of this run; the job itself stays scheduled for the next one
+      if (jobToStart) {
+        const { modifiedCount } = await BroadcastJob.updateOne({ _id: jobToStart._id, status: 'starting' }, { status: 'cancelled' });
+        if (modifiedCount > 0) await BroadcastRecipient.deleteMany({ jobId: jobToStart._id });
+      }
+    }
+  }
+
+  if (dispatched > 0) {
+    await triggerBroadcastWorker();
+  }
+  return { dispatched };
+};
+
+const callTelegramApi = async (token, method) => {
+  try {
+    const response = await axios.get(`https://api.telegram.org/bot${token}/${method}`, { timeout: 5000 });
+    return { ok: true, result: response.data.result };
+  } catch (error) {
+    return { ok: false, status: error.response?.status, description: error.response?.data?.description || error.message };
+  }
+};
+
+// Checks a bot's token and webhook, restoring the webhook if it points elsewhere.
+// Returns { health, issue, username, restoredFrom }.
+const inspectBot = async (bot) => {
+  const token = getBotToken(bot);
+  const me = await callTelegramApi(token, 'getMe');
+  if (!me.ok) {
+    // Telegram answers 401 for revoked tokens and 404 for malformed ones
+    return [401, 404].includes(me.status)
+      ? { health: 'dead', issue: 'Telegram rejects the token. It was probably revoked in @BotFather.' }
+      : { health: 'degraded', issue: `Telegram did not answer getMe: ${me.description}` };
+  }
+
+  const webhookInfo = await callTelegramApi(token, 'getWebhookInfo');
+  if (!webhookInfo.ok) {
+    return { health: 'degraded', username: me.result.username, issue: `Telegram did not answer getWebhookInfo: ${webhookInfo.description}` };
+  }
+
+  const { url, last_error_date: lastErrorDate, last_error_message: lastErrorMessage } = webhookInfo.result;
+  if (!bot.webhookId || url !== `${WEBHOOK_BASE_URL}/created/${bot.webhookId}`) {
+    const credentials = bot.webhookId ? { webhookId: bot.webhookId, webhookSecret: bot.webhookSecret } : generateWebhookCredentials();
+    if (!await setWebhook(token, credentials)) {
+      return { health: 'degraded', username: me.result.username, issue: `The webhook points to ${url || 'nowhere'} and could not be restored.` };
     }
+    Object.assign(bot, credentials);
+    return { health: 'healthy', username: me.result.username, restoredFrom: url || 'nowhere' };
   }
+  if (lastErrorDate > Math.floor(Date.now() / 1000) - HEALTH_ERROR_WINDOW) {
+    return { health: 'degraded', username: me.result.username, issue: `Telegram could not deliver updates: ${lastErrorMessage}` };
+  }
+  return { health: 'healthy', username: me.result.username };
+};
 
-  return { successCount, failCount };
+const HEALTH_NOTICES = {
+  healthy: (bot) => `✅ Your bot @${bot.username} is working again.`,
+  degraded: (bot) => `⚠️ Your bot @${bot.username} has a problem:\n${bot.healthIssue}\n\nBot Maker will keep checking it.`,
+  dead: (bot) => `☠️ Your bot @${bot.username} no longer works:\n${bot.healthIssue}\n\n` +
+                 'If you regenerated its token in @BotFather, send the new one with 🔁 Update Token. ' +
+                 'Otherwise remove it with 🗑️ Delete Bot.',
 };
 
-const broadcastSubMessage = async (message, adminId) => {
-  let totalSuccess = 0;
-  let totalFail = 0;
+// Checks the bots that are due, oldest check first. Each bot is claimed atomically so
+// overlapping runs don't check it twice; creators hear about every change of health.
+const runHealthMonitor = async () => {
+  const deadline = Date.now() + BROADCAST_TIME_BUDGET_MS;
+  const counts = { healthy: 0, degraded: 0, dead: 0 };
+  let checked = 0;
+
+  while (checked < HEALTH_CHECK_BATCH_SIZE && Date.now() < deadline) {
+    const now = Math.floor(Date.now() / 1000);
+    const bot = await Bot.findOneAndUpdate(
+      { healthCheckedAt: { $not: { $gt: now - HEALTH_CHECK_INTERVAL } } },
+      { healthCheckedAt: now },
+      { sort: { healthCheckedAt: 1 }, new: true }
+    );
+    if (!bot) break;
+    checked++;
 
-  const bots = await Bot.aggregate([
-    {
-      $lookup: {
-        from: 'botusers',
-        localField: 'token',
-        foreignField: 'botToken',
-        as: 'users',
-      },
-    },
-    {
-      $addFields: {
-        userCount: { $size: '$users' },
-      },
-    },
-    { $sort: { userCount: -1 } },
+    try {
+      const previousHealth = bot.health || 'healthy';
+      const { health, issue, username, restoredFrom } = await inspectBot(bot);
+      bot.health = health;
+      bot.healthIssue = issue;
+      bot.deadChecks = health === 'dead' ? (bot.deadChecks || 0) + 1 : 0;
+      if (username) bot.username = username;
+      await bot.save();
+      counts[health]++;
+
+      if (restoredFrom) {
+        await makerBot.telegram.sendMessage(bot.creatorId,
+          `🩺 The webhook of @${bot.username} pointed to ${restoredFrom}, so Bot Maker restored it. ` +
+          'If you run this bot somewhere else too, it stops receiving updates there.'
+        ).catch(() => {});
+      }
+      if (health !== previousHealth) {
+        await makerBot.telegram.sendMessage(bot.creatorId, HEALTH_NOTICES[health](bot)).catch(() => {});
+      }
+    } catch (error) {
+      console.error(`Failed to check health of bot ${bot._id}:`, error);
+    }
+  }
+
+  return { checked, ...counts };
+};
+
+// Owner list of bots that need attention
+const buildBotHealthList = async () => {
+  const [healthyBots, degradedBots, deadBots] = await Promise.all([
+    Bot.countDocuments({ health: { $nin: ['degraded', 'dead'] } }),
+    Bot.find({ health: 'degraded' }).sort({ healthCheckedAt: -1 }).limit(10).lean(),
+    Bot.find({ health: 'dead' }).sort({ createdAt: 1 }).limit(20).lean(),
   ]);
 
-  for (const botInfo of bots) {
-    const botToken = botInfo.token;
-    const bot = new Telegraf(botToken);
-    const targetUsers = await BotUser.find({ botToken, hasJoined: true, isBlocked: false }).lean();
+  let text = `🩺 Bot Health\n\n✅ Healthy: ${healthyBots}\n⚠️ Degraded: ${degradedBots.length}\n☠️ Dead: ${deadBots.length}\n`;
+  if (degradedBots.length > 0) {
+    text += '\n⚠️ Degraded bots:\n' + degradedBots.map((bot) => `@${bot.username}: ${bot.healthIssue}`).join('\n') + '\n';
+  }
+  if (deadBots.length > 0) {
+    text += '\n☠️ Dead bots, tap to remove:\n' + deadBots.map((bot) => `@${bot.username} by ${bot.creatorId}: ${bot.healthIssue}` +
+      (bot.deadChecks >= DEAD_CHECKS_BEFORE_REMOVAL ? '' : ' (checked once; removable after the next check)')).join('\n');
+  }
+
+  const removableBots = deadBots.filter((bot) => bot.deadChecks >= DEAD_CHECKS_BEFORE_REMOVAL);
+  const inlineKeyboard = removableBots.map((bot) => [{ text: `🗑 Remove @${bot.username}`, callback_data: `dead_rm:${bot._id}` }]);
+  if (removableBots.length > 1) {
+    inlineKeyboard.push([{ text: '🗑 Remove All Dead Bots', callback_data: 'dead_rm:all' }]);
+  }
+  return { text, extra: { reply_markup: { inline_keyboard: inlineKeyboard } } };
+};
+
+// Telegram answers 403 when the user blocked the bot or deleted their account
+const getInactiveReason = (error) => {
+  const description = error.response?.description || '';
+  if (/blocked/i.test(description)) return 'blocked';
+  if (/deactivated/i.test(description)) return 'deactivated';
+  return 'forbidden';
+};
+
+// Marks a user unreachable so they're skipped by later broadcasts and counted separately in statistics
+const markUserInactive = async (userId, botToken, reason) => {
+  const update = { isActive: false, inactiveReason: reason, inactiveAt: Math.floor(Date.now() / 1000) };
+  if (botToken) {
+    await BotUser.updateOne({ botToken, userId }, update);
+  } else {
+    await User.updateOne({ userId }, update);
+  }
+};
+
+const markUserActive = async (userId, botToken) => {
+  const filter = botToken ? { botToken, userId, isActive: false } : { userId, isActive: false };
+  await (botToken ? BotUser : User).updateOne(filter, { isActive: true, $unset: { inactiveReason: 1, inactiveAt: 1 } });
+};
+
+const isTransientError = (error) => !error.response?.error_code || error.response.error_code >= 500;
+
+// Sends pending recipients of a job until the deadline, honoring 429 retry_after and
+// retrying transient errors with backoff. Progress is committed after every batch.
+const processBroadcastJob = async (job, deadline) => {
+  const telegramCache = new Map();
+  const getTelegram = async (botToken) => {
+    const key = botToken || 'maker';
+    if (!telegramCache.has(key)) telegramCache.set(key, await getTelegramForBot(botToken));
+    return telegramCache.get(key);
+  };
+
+  while (Date.now() < deadline) {
+    const current = await BroadcastJob.findById(job._id).select('status').lean();
+    if (current?.status !== 'running') return;
+
+    const recipients = await BroadcastRecipient.find({
+      jobId: job._id,
+      status: 'pending',
+      nextAttemptAt: { $lte: new Date() },
+    }).limit(BROADCAST_BATCH_SIZE);
+
+    if (recipients.length === 0) {
+      const retrying = await BroadcastRecipient.findOne({ jobId: job._id, status: 'pending' }).sort({ nextAttemptAt: 1 });
+      if (retrying) {
+        await BroadcastJob.updateOne({ _id: job._id }, { nextRunAt: retrying.nextAttemptAt });
+        return;
+      }
+
+      const completedJob = await BroadcastJob.findOneAndUpdate(
+        { _id: job._id, status: 'running' },
+        { status: 'completed', finishedAt: Math.floor(Date.now() / 1000) },
+        { new: true }
+      );
+      if (completedJob) {
+        await BroadcastRecipient.deleteMany({ jobId: job._id });
+        await updateBroadcastProgress(completedJob);
+        const telegram = await getTelegramForBot(completedJob.scope === 'bot' ? completedJob.botToken : null);
+        await telegram?.sendMessage(completedJob.adminId,
+          `📢 Broadcast completed!\n` +
+          `✅ Sent to ${completedJob.sentCount} users\n` +
+          `❌ Failed for ${completedJob.failCount} users`
+        ).catch(() => {});
+      }
+      return;
+    }
+
+    let sentCount = 0;
+    let failCount = 0;
+    let retryAfter = 0;
+
+    for (const recipient of recipients) {
+      if (Date.now() >= deadline) break;
+
+      const telegram = await getTelegram(recipient.botToken);
+      if (!telegram) {
+        recipient.status = 'failed';
+        recipient.error = 'Bot no longer exists';
+        failCount++;
+        await BroadcastRecipient.updateOne({ _id: recipient._id }, recipient.getChanges());
+        continue;
+      }
+
+      try {
+        await sendBroadcastMessage(telegram, recipient.userId, job);
+        recipient.status = 'sent';
+        sentCount++;
+      } catch (error) {
+        recipient.error = error.message;
+        if (error.response?.error_code === 429) {
+          // Flood limit: leave the recipient pending and hold the whole job for retry_after
+          retryAfter = (error.response.parameters?.retry_after || 5) * 1000;
+        } else if (isTransientError(error) && recipient.attempts + 1 < BROADCAST_MAX_ATTEMPTS) {
+          recipient.attempts++;
+          recipient.nextAttemptAt = new Date(Date.now() + 5000 * 2 ** recipient.attempts);
+        } else {
+          console.error(`Broadcast failed for user ${recipient.userId}:`, error.message);
+          recipient.attempts++;
+          recipient.status = 'failed';
+          failCount++;
+          if (error.response?.error_code === 403) {
+            await markUserInactive(recipient.userId, recipient.botToken, getInactiveReason(error));
+          }
+        }
+      }
+      await BroadcastRecipient.updateOne({ _id: recipient._id }, recipient.getChanges());
+
+      if (retryAfter) break;
+      await sleep(34);
+    }
+
+    job = await BroadcastJob.findByIdAndUpdate(job._id, { $inc: { sentCount, failCount } }, { new: true });
+    await updateBroadcastProgress(job);
+
+    if (retryAfter) {
+      if (Date.now() + retryAfter >= deadline) {
+        await BroadcastJob.updateOne({ _id: job._id }, { nextRunAt: new Date(Date.now() + retryAfter) });
+        return;
+      }
+      await sleep(retryAfter);
+    }
+  }
+};
+
+// Processes running jobs one at a time within the serverless time budget. Each job is
+// locked while a worker holds it so overlapping runs (cron + trigger) never double-send.
+// A pending /clear or /restore job goes first; broadcasts get the time it leaves.
+const runBroadcastWorker = async () => {
+  const deadline = Date.now() + BROADCAST_TIME_BUDGET_MS;
+  const hasMaintenanceWork = await runMaintenanceJob(deadline);
+  let processed = 0;
+
+  while (Date.now() < deadline) {
+    const job = await BroadcastJob.findOneAndUpdate(
+      { status: 'running', lockedUntil: { $lt: new Date() }, nextRunAt: { $lte: new Date() } },
+      { lockedUntil: new Date(Date.now() + BROADCAST_TIME_BUDGET_MS + 30000) },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (!job) break;
+
+    try {
+      await processBroadcastJob(job, deadline);
+      processed++;
+    } finally {
+      await BroadcastJob.updateOne({ _id: job._id }, { lockedUntil: new Date(0) });
+    }
+  }
 
-    if (targetUsers.length === 0) continue;
+  const hasMoreWork = await BroadcastJob.exists({
+    status: 'running',
+    lockedUntil: { $lt: new Date() },
+    nextRunAt: { $lte: new Date() },
+  });
+  if (hasMoreWork || hasMaintenanceWork) {
+    await triggerBroadcastWorker();
+  }
+  return { processed, hasMoreWork: Boolean(hasMoreWork || hasMaintenanceWork) };
+};
 
-    const { successCount, failCount } = await broadcastMessage(bot, message, targetUsers, adminId);
-    totalSuccess += successCount;
-    totalFail += failCount;
+// Bans
+const buildBanHistory = (userId, records) => `📜 Ban History of ${userId}\n\n` +
+  (records.length === 0 ? 'No bans recorded.' : records.map(formatBanRecord).join('\n'));
 
-    await new Promise(resolve => setTimeout(resolve, 1000));
+// Bans a user from Bot Maker; global bans also apply to every created bot they use
+const banUser = async ({ userId, issuedBy, duration, reason, global = false }) => {
+  const now = Math.floor(Date.now() / 1000);
+  const ban = { reason, until: duration ? now + duration : undefined, issuedBy, issuedAt: now, global };
+  await User.updateOne({ userId }, { isBlocked: true, ban });
+  if (global) {
+    await BotUser.updateMany({ userId }, { isBlocked: true, ban });
   }
+  await BanRecord.create({ userId, action: 'ban', reason, until: ban.until, global, issuedBy });
+};
 
-  return { totalSuccess, totalFail };
+// Lifts a Bot Maker ban, together with any global ban the owner issued in created bots
+const unbanUser = async ({ userId, issuedBy }) => {
+  await User.updateOne({ userId }, { isBlocked: false, $unset: { ban: 1 } });
+  await BotUser.updateMany({ userId, 'ban.global': true }, { isBlocked: false, $unset: { ban: 1 } });
+  await BanRecord.create({ userId, action: 'unban', issuedBy });
 };
 
 const getRelativeTime = (timestamp) => {
@@ -221,13 +1288,45 @@ const getRelativeTime = (timestamp) => {
   return `${dateStr}, ${Math.floor(diff / 86400)} days ago`;
 };
 
+// Any interaction shows the user can be reached again
+makerBot.use(async (ctx, next) => {
+  if (ctx.from && ctx.chat?.type === 'private' && !ctx.myChatMember) {
+    await markUserActive(ctx.from.id.toString()).catch((error) => console.error('Error reactivating user:', error));
+  }
+  return next();
+});
+
+// Lifts expired bans before any handler checks isBlocked
+makerBot.use(async (ctx, next) => {
+  if (ctx.from) {
+    await liftExpiredBan(User, { userId: ctx.from.id.toString() }).catch((error) => console.error('Error lifting ban:', error));
+  }
+  return next();
+});
+
+// Track users blocking and unblocking Bot Maker
+makerBot.on('my_chat_member', async (ctx) => {
+  const { chat, new_chat_member: member } = ctx.myChatMember;
+  if (chat.type !== 'private') return;
+  const userId = chat.id.toString();
+  try {
+    if (member.status === 'kicked') {
+      await markUserInactive(userId, null, 'blocked');
+    } else if (member.status === 'member') {
+      await markUserActive(userId);
+    }
+  } catch (error) {
+    console.error('Error in my_chat_member:', error);
+  }
+});
+
 // /start Command
 makerBot.start(async (ctx) => {
   const userId = ctx.from.id.toString();
   try {
     let user = await User.findOne({ userId });
     if (user && user.isBlocked) {
-      ctx.reply('🚫 You have been banned by the admin.');
+      ctx.reply(getBanNotice(user));
       return;
     }
 
@@ -266,93 +1365,1079 @@ makerBot.start(async (ctx) => {
     console.error('Error in /start:', error);
     ctx.reply('❌ An error occurred. Please try again.');
   }
-});
+});
+
+// Create Bot
+makerBot.hears('🛠 Create Bot', async (ctx) => {
+  const userId = ctx.from.id.toString();
+  try {
+    const user = await User.findOne({ userId });
+    if (user && user.isBlocked) {
+      ctx.reply(getBanNotice(user));
+      return;
+    }
+    if (await hasReachedBotQuota(userId)) {
+      ctx.reply(await getQuotaReachedText(user), mainMenu);
+      return;
+    }
+
+    const templateList = Object.values(templates)
+      .map((template) => `${template.name}: ${template.description}`)
+      .join('\n');
+    ctx.reply(`🧩 Choose a template for your bot. You can switch it later from /panel.\n\n${templateList}`, {
+      reply_markup: {
+        inline_keyboard: Object.entries(templates).map(([key, template]) => [
+          { text: template.name, callback_data: `create_tpl:${key}` },
+        ]),
+      },
+    });
+    await User.findOneAndUpdate({ userId }, { step: 'none' });
+  } catch (error) {
+    console.error('Error in Create Bot:', error);
+    ctx.reply('❌ An error occurred. Please try again.', mainMenu);
+  }
+});
+
+makerBot.action(/^create_tpl:(\w+)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const templateKey = ctx.match[1];
+  try {
+    const user = await User.findOne({ userId });
+    if (user && user.isBlocked) {
+      await ctx.answerCbQuery(getBanNotice(user), { show_alert: true });
+      return;
+    }
+    if (!templates[templateKey]) {
+      await ctx.answerCbQuery('❌ This template is no longer available.');
+      return;
+    }
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(`🧩 Template: ${templates[templateKey].name}`).catch(() => {});
+    await ctx.reply('Send your bot token from @BotFather to make your bot:', backKeyboard);
+    await User.findOneAndUpdate({ userId }, { step: 'create_bot', pendingTemplate: templateKey });
+  } catch (error) {
+    console.error('Error in create_tpl action:', error);
+    ctx.answerCbQuery('❌ An error occurred. Please try again.').catch(() => {});
+  }
+});
+
+// Delete Bot
+makerBot.hears('🗑️ Delete Bot', async (ctx) => {
+  const userId = ctx.from.id.toString();
+  try {
+    const user = await User.findOne({ userId });
+    if (user && user.isBlocked) {
+      ctx.reply(getBanNotice(user));
+      return;
+    }
+
+    const userBots = await Bot.find({ creatorId: userId });
+    if (userBots.length === 0) {
+      ctx.reply('You have not created any bots yet.', mainMenu);
+      return;
+    }
+
+    ctx.reply('🗑️ Select the bot you want to delete:', {
+      reply_markup: {
+        inline_keyboard: userBots.map((bot) => [{ text: `🤖 @${bot.username}`, callback_data: `delete_bot:${bot._id}` }]),
+      },
+    });
+    await User.findOneAndUpdate({ userId }, { step: 'none' });
+  } catch (error) {
+    console.error('Error in Delete Bot:', error);
+    ctx.reply('❌ An error occurred. Please try again.', mainMenu);
+  }
+});
+
+// Finds a bot for a delete, update or transfer callback and refuses (reporting to the owner) if the caller doesn't own it
+const getOwnBot = async (ctx, botId, action) => {
+  const userId = ctx.from.id.toString();
+  const user = await User.findOne({ userId });
+  if (user && user.isBlocked) {
+    await ctx.answerCbQuery(getBanNotice(user), { show_alert: true });
+    return null;
+  }
+
+  const bot = await Bot.findById(botId);
+  if (!bot) {
+    await ctx.answerCbQuery('❌ This bot no longer exists.');
+    await ctx.editMessageText('❌ This bot no longer exists.').catch(() => {});
+    return null;
+  }
+
+  if (bot.creatorId !== userId) {
+    const username = ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name;
+    console.warn(`User ${userId} tried to ${action} bot @${bot.username} owned by ${bot.creatorId}`);
+    await ctx.answerCbQuery(`❌ You can only ${action} your own bots.`, { show_alert: true });
+    await makerBot.telegram.sendMessage(OWNER_ID,
+      `⚠️ Unauthorized ${action[0].toUpperCase()}${action.slice(1)} Attempt ⚠️\n` +
+      `👤 User: ${username}\n` +
+      `🆔 User ID: ${userId}\n` +
+      `🤖 Bot: @${bot.username}\n` +
+      `👑 Owner ID: ${bot.creatorId}`
+    );
+    return null;
+  }
+
+  return bot;
+};
+
+makerBot.action(/^delete_bot:([a-f0-9]{24})$/, async (ctx) => {
+  try {
+    const bot = await getOwnBot(ctx, ctx.match[1], 'delete');
+    if (!bot) return;
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(
+      `⚠️ Are you sure you want to delete @${bot.username}?\n` +
+      `All of its users and settings will be lost.`,
+      {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '✅ Yes, delete', callback_data: `delete_bot_confirm:${bot._id}` },
+            { text: '❌ Cancel', callback_data: 'delete_bot_cancel' },
+          ]],
+        },
+      }
+    );
+  } catch (error) {
+    console.error('Error in delete_bot action:', error);
+    ctx.answerCbQuery('❌ An error occurred. Please try again.').catch(() => {});
+  }
+});
+
+makerBot.action(/^delete_bot_confirm:([a-f0-9]{24})$/, async (ctx) => {
+  try {
+    const bot = await getOwnBot(ctx, ctx.match[1], 'delete');
+    if (!bot) return;
+
+    await deleteBotData(bot);
+    await ctx.answerCbQuery('✅ Bot deleted');
+    await ctx.editMessageText(`✅ Bot @${bot.username} has been deleted and disconnected from Bot Maker.`);
+  } catch (error) {
+    console.error('Error in delete_bot_confirm action:', error);
+    ctx.answerCbQuery('❌ An error occurred. Please try again.').catch(() => {});
+  }
+});
+
+makerBot.action('delete_bot_cancel', async (ctx) => {
+  await ctx.answerCbQuery().catch(() => {});
+  await ctx.editMessageText('↩️ Bot deletion cancelled.').catch(() => {});
+});
+
+// Update Token
+makerBot.hears('🔁 Update Token', async (ctx) => {
+  const userId = ctx.from.id.toString();
+  try {
+    const user = await User.findOne({ userId });
+    if (user && user.isBlocked) {
+      ctx.reply(getBanNotice(user));
+      return;
+    }
+
+    const userBots = await Bot.find({ creatorId: userId });
+    if (userBots.length === 0) {
+      ctx.reply('You have not created any bots yet.', mainMenu);
+      return;
+    }
+
+    ctx.reply('🔁 Select the bot whose token you regenerated in @BotFather. Its users and settings are kept:', {
+      reply_markup: {
+        inline_keyboard: userBots.map((bot) => [{
+          text: `${bot.health === 'dead' ? '☠️' : '🤖'} @${bot.username}`,
+          callback_data: `update_token:${bot._id}`,
+        }]),
+      },
+    });
+    await User.findOneAndUpdate({ userId }, { step: 'none' });
+  } catch (error) {
+    console.error('Error in Update Token:', error);
+    ctx.reply('❌ An error occurred. Please try again.', mainMenu);
+  }
+});
+
+makerBot.action(/^update_token:([a-f0-9]{24})$/, async (ctx) => {
+  try {
+    const bot = await getOwnBot(ctx, ctx.match[1], 'update');
+    if (!bot) return;
+    if (!bot.botId) {
+      await ctx.answerCbQuery('⏳ This bot is waiting for a Bot Maker update. Please try again later.', { show_alert: true });
+      return;
+    }
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(`🔁 Updating the token of @${bot.username}`).catch(() => {});
+    await ctx.reply('Send the new token of this bot from @BotFather:', backKeyboard);
+    await User.findOneAndUpdate({ userId: ctx.from.id.toString() }, { step: 'update_token', pendingBotId: bot._id.toString() });
+  } catch (error) {
+    console.error('Error in update_token action:', error);
+    ctx.answerCbQuery('❌ An error occurred. Please try again.').catch(() => {});
+  }
+});
+
+// List My Bots
+makerBot.hears('📋 My Bots', async (ctx) => {
+  const userId = ctx.from.id.toString();
+  try {
+    const user = await User.findOne({ userId });
+    if (user && user.isBlocked) {
+      ctx.reply(getBanNotice(user));
+      return;
+    }
+
+    const userBots = await Bot.find({ creatorId: userId });
+    let message = '📋 Your Bots:\n\n';
+    if (userBots.length === 0) {
+      message += 'You have not created any bots yet.';
+    } else {
+      userBots.forEach((bot) => {
+        const createdAt = getRelativeTime(bot.createdAt);
+        const template = templates[bot.template] || templates[DEFAULT_TEMPLATE];
+        message += `🤖 @${bot.username}\nTemplate: ${template.name}\nCreated: ${createdAt}\n\n`;
+      });
+    }
+    if (userId !== OWNER_ID) {
+      const quota = await getBotQuota(user);
+      message += `\n💎 Plan: ${quota.tier.name}\n📦 Bots: ${userBots.length} of ${quota.total}` +
+                 `${quota.bonus > 0 ? ` (${quota.bonus} earned with referrals)` : ''}`;
+      if (quota.referralsPerBonusSlot > 0) {
+        message += `\n\n🎁 Get an extra bot slot for every ${quota.referralsPerBonusSlot} people who start Bot Maker with your link ` +
+                   `(${quota.referrals} so far):\nhttps://t.me/${ctx.botInfo.username}?start=${userId}`;
+      }
+    }
+    ctx.reply(message, userBots.length === 0 ? mainMenu : {
+      reply_markup: {
+        inline_keyboard: userBots.map((bot) => [{ text: `🔄 Transfer @${bot.username}`, callback_data: `transfer:${bot._id}` }]),
+      },
+    });
+  } catch (error) {
+    console.error('Error in My Bots:', error);
+    ctx.reply('❌ An error occurred. Please try again.', mainMenu);
+  }
+});
+
+// Bot Ownership Transfer
+makerBot.action(/^transfer:([a-f0-9]{24})$/, async (ctx) => {
+  try {
+    const bot = await getOwnBot(ctx, ctx.match[1], 'transfer');
+    if (!bot) return;
+
+    await ctx.answerCbQuery();
+    await ctx.reply(
+      `🔄 Send the user ID of the Bot Maker user who should own @${bot.username}, or forward a message from them.\n` +
+      `They have ${TRANSFER_TTL_HOURS} hours to accept. Until then the bot stays yours.`,
+      backKeyboard
+    );
+    await User.findOneAndUpdate({ userId: ctx.from.id.toString() }, { step: 'transfer_bot', pendingBotId: bot._id.toString() });
+  } catch (error) {
+    console.error('Error in transfer action:', error);
+    ctx.answerCbQuery('❌ An error occurred. Please try again.').catch(() => {});
+  }
+});
+
+// Accept, decline (recipient) or cancel (sender) a pending transfer
+makerBot.action(/^transfer_(accept|decline|cancel):([a-f0-9]{24})$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const [, action, transferId] = ctx.match;
+  try {
+    const transfer = await BotTransfer.findOne({ _id: transferId, expiresAt: { $gt: new Date() } });
+    const bot = transfer ? await findBotByKey(transfer.botToken).where({ creatorId: transfer.fromUserId }) : null;
+    if (!transfer || !bot) {
+      await ctx.answerCbQuery('❌ This transfer has expired or was cancelled.', { show_alert: true });
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      return;
+    }
+    if (userId !== (action === 'cancel' ? transfer.fromUserId : transfer.toUserId)) {
+      await ctx.answerCbQuery('❌ This transfer is not addressed to you.', { show_alert: true });
+      return;
+    }
+
+    if (action !== 'accept') {
+      await BotTransfer.deleteOne({ _id: transfer._id });
+      await ctx.answerCbQuery(action === 'cancel' ? '✅ Transfer cancelled' : '✅ Transfer declined');
+      await ctx.editMessageText(`❌ The transfer of @${bot.username} was ${action === 'cancel' ? 'cancelled' : 'declined'}.`).catch(() => {});
+      const otherUserId = action === 'cancel' ? transfer.toUserId : transfer.fromUserId;
+      await makerBot.telegram.sendMessage(otherUserId,
+        `❌ The transfer of @${bot.username} was ${action === 'cancel' ? 'cancelled by its owner' : 'declined by the recipient'}.`
+      ).catch(() => {});
+      return;
+    }
+
+    const user = await User.findOne({ userId });
+    if (!user || user.isBlocked) {
+      await ctx.answerCbQuery(getBanNotice(user), { show_alert: true });
+      return;
+    }
+    if (await hasReachedBotQuota(userId)) {
+      await ctx.answerCbQuery(await getQuotaReachedText(user), { show_alert: true });
+      return;
+    }
+
+    // Claiming the transfer first makes a double tap a no-op; the creator condition makes sure
+    // the sender still owns the bot at the moment it changes hands
+    if (!await BotTransfer.findOneAndDelete({ _id: transfer._id })) {
+      await ctx.answerCbQuery('❌ This transfer has expired or was cancelled.', { show_alert: true });
+      return;
+    }
+    const transferredBot = await Bot.findOneAndUpdate(
+      { _id: bot._id, creatorId: transfer.fromUserId },
+      { creatorId: userId, creatorUsername: ctx.from.username || ctx.from.first_name },
+      { new: true }
+    );
+    if (!transferredBot) {
+      await ctx.answerCbQuery('❌ This bot no longer belongs to the sender.', { show_alert: true });
+      return;
+    }
+    // The new owner gets full access, so a co-admin role would be redundant
+    await BotAdmin.deleteOne({ botToken: getBotKey(transferredBot), userId });
+    // Broadcasts the former owner queued keep running and repeating under the new owner. Progress
+    // messages of running jobs are in the former owner's chat, so they are no longer updated.
+    await BroadcastJob.updateMany(
+      {
+        scope: 'bot',
+        botToken: getBotKey(transferredBot),
+        adminId: transfer.fromUserId,
+        status: { $in: ['scheduled', 'starting', 'running', 'paused'] },
+      },
+      { adminId: userId, $unset: { progressMessageId: 1 } }
+    );
+
+    await ctx.answerCbQuery('✅ Transfer accepted');
+    await ctx.editMessageText(`✅ You now own @${transferredBot.username}. Open it and send /panel to manage it.`).catch(() => {});
+    await makerBot.telegram.sendMessage(transfer.fromUserId,
+      `✅ @${transferredBot.username} now belongs to ${user.username || userId}. You no longer have access to its /panel.`
+    ).catch(() => {});
+    await makerBot.telegram.sendMessage(OWNER_ID,
+      `🔄 Bot Ownership Transfer 🔄\n` +
+      `🤖 Bot: @${transferredBot.username}\n` +
+      `📤 From: ${transfer.fromUserId}\n` +
+      `📥 To: ${user.username || ''} (${userId})`
+    ).catch(() => {});
+  } catch (error) {
+    console.error(`Error in transfer_${action} action:`, error);
+    ctx.answerCbQuery('❌ An error occurred. Please try again.').catch(() => {});
+  }
+});
+
+// Owner Plans Menu
+const buildPlansMenu = async () => {
+  const defaultBotQuota = await getSetting('defaultBotQuota', DEFAULT_BOT_QUOTA);
+  const referralsPerBonusSlot = await getSetting('referralsPerBonusSlot', 0);
+  const tierCounts = await User.aggregate([{ $group: { _id: { $ifNull: ['$tier', DEFAULT_TIER] }, count: { $sum: 1 } } }]);
+
+  let text = '💎 Plans\n\n' +
+             `📦 Default bot quota: ${defaultBotQuota}\n` +
+             `🎁 Referral bonus: ${referralsPerBonusSlot > 0 ? `1 bot slot per ${referralsPerBonusSlot} referrals` : 'off'}\n\n`;
+  text += Object.entries(tiers).map(([key, tier]) => {
+    const users = tierCounts.find((tierCount) => tierCount._id === key)?.count || 0;
+    return `${tier.name} (${key}), ${users} users\n` +
+           `   Bots: ${getBotLimit(tier, defaultBotQuota)}, broadcasts: ${tier.maxBroadcastUsers ?? 'unlimited'} users\n` +
+           `   Features: ${tier.features.map((feature) => FEATURE_NAMES[feature]).join(', ') || 'none'}`;
+  }).join('\n');
+  text += `\n\nBots created before ${new Date(BROADCAST_LIMIT_SINCE * 1000).toISOString().slice(0, 10)} can broadcast to all their users.`;
+
+  return {
+    text,
+    extra: {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '📦 Default Quota', callback_data: 'plan:quota' }, { text: '🎁 Referral Bonus', callback_data: 'plan:referral' }],
+          [{ text: '👤 Set User Plan', callback_data: 'plan:user' }],
+        ],
+      },
+    },
+  };
+};
+
+// A single failed check can be a Telegram hiccup, so only bots found dead repeatedly can be removed
+const getRemovableDeadBotFilter = (target) => ({
+  ...(target === 'all' ? {} : { _id: mongoose.isValidObjectId(target) ? target : null }),
+  health: 'dead',
+  deadChecks: { $gte: DEAD_CHECKS_BEFORE_REMOVAL },
+});
+
+// Removing a dead bot deletes all of its users and settings, so the owner confirms it first
+makerBot.action(/^dead_rm:(\w+)$/, async (ctx) => {
+  if (ctx.from.id.toString() !== OWNER_ID) {
+    await ctx.answerCbQuery('❌ Only the owner can do this.').catch(() => {});
+    return;
+  }
+  try {
+    const target = ctx.match[1];
+    const count = await Bot.countDocuments(getRemovableDeadBotFilter(target));
+    if (count === 0) {
+      await ctx.answerCbQuery('❌ Nothing to remove.');
+      const list = await buildBotHealthList();
+      await ctx.editMessageText(list.text, list.extra).catch(() => {});
+      return;
+    }
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(
+      `⚠️ Remove ${target === 'all' ? `all ${count} dead bots` : 'this dead bot'} together with their users and settings? ` +
+      'This cannot be undone.',
+      {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '✅ Yes, Remove', callback_data: `dead_rm_ok:${target}` },
+            { text: '↩️ Back', callback_data: 'dead_rm_back' },
+          ]],
+        },
+      }
+    ).catch(() => {});
+  } catch (error) {
+    console.error('Error in dead_rm action:', error);
+    ctx.answerCbQuery('❌ An error occurred. Please try again.').catch(() => {});
+  }
+});
+
+makerBot.action('dead_rm_back', async (ctx) => {
+  if (ctx.from.id.toString() !== OWNER_ID) {
+    await ctx.answerCbQuery('❌ Only the owner can do this.').catch(() => {});
+    return;
+  }
+  try {
+    await ctx.answerCbQuery();
+    const list = await buildBotHealthList();
+    await ctx.editMessageText(list.text, list.extra).catch(() => {});
+  } catch (error) {
+    console.error('Error in dead_rm_back action:', error);
+    ctx.answerCbQuery('❌ An error occurred. Please try again.').catch(() => {});
+  }
+});
+
+makerBot.action(/^dead_rm_ok:(\w+)$/, async (ctx) => {
+  if (ctx.from.id.toString() !== OWNER_ID) {
+    await ctx.answerCbQuery('❌ Only the owner can do this.').catch(() => {});
+    return;
+  }
+  try {
+    const deadBots = await Bot.find(getRemovableDeadBotFilter(ctx.match[1]));
+    for (const bot of deadBots) {
+      await deleteBotData(bot);
+      await makerBot.telegram.sendMessage(bot.creatorId,
+        `🗑 Your bot @${bot.username} was removed from Bot Maker because its token no longer works.`
+      ).catch(() => {});
+    }
+
+    await ctx.answerCbQuery(deadBots.length > 0 ? `✅ Removed ${deadBots.length} dead bots` : '❌ Nothing to remove.');
+    const list = await buildBotHealthList();
+    await ctx.editMessageText(list.text, list.extra).catch(() => {});
+  } catch (error) {
+    console.error('Error in dead_rm_ok action:', error);
+    ctx.answerCbQuery('❌ An error occurred. Please try again.').catch(() => {});
+  }
+});
+
+makerBot.action(/^plan:(quota|referral|user)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+  if (userId !== OWNER_ID) {
+    await ctx.answerCbQuery('❌ Only the owner can do this.').catch(() => {});
+    return;
+  }
+  try {
+    const prompts = {
+      quota: ['awaiting_default_quota', '📦 Send the number of bots users may create by default:'],
+      referral: ['awaiting_referral_bonus', '🎁 Send how many referrals earn one extra bot slot, or 0 to turn the bonus off:'],
+      user: ['awaiting_user_plan', '👤 Send the user ID and the plan, optionally followed by a bot quota that replaces the plan limit, e.g.\n' +
+        `123456789 pro\n123456789 free 10\n\nPlans: ${Object.keys(tiers).join(', ')}`],
+    };
+    const [adminState, prompt] = prompts[ctx.match[1]];
+    await ctx.answerCbQuery();
+    await ctx.reply(prompt, cancelKeyboard);
+    await User.findOneAndUpdate({ userId }, { adminState });
+  } catch (error) {
+    console.error('Error in plan action:', error);
+    ctx.answerCbQuery('❌ An error occurred. Please try again.').catch(() => {});
+  }
+});
+
+// REST API Key
+const buildApiKeyMenu = (user, apiKey) => {
+  let text = '🔑 REST API\n\n';
+  if (apiKey) {
+    text += `Your new API key (shown only once, keep it secret):\n${apiKey}\n\n`;
+  } else if (user.apiKeyHash) {
+    text += `You have an API key, created ${getRelativeTime(user.apiKeyCreatedAt)}.\n\n`;
+  } else {
+    text += 'You have no API key yet.\n\n';
+  }
+  text += `Send it as "Authorization: Bearer <key>" to ${WEBHOOK_BASE_URL}/api/...\n` +
+          'GET /api/bots, POST /api/bots, GET|DELETE /api/bots/:id, GET /api/bots/:id/stats,\n' +
+          'PUT /api/bots/:id/channels, POST /api/bots/:id/broadcasts, GET /api/broadcasts/:id';
+
+  const buttons = [{ text: user.apiKeyHash || apiKey ? '🔄 Regenerate Key' : '🔑 Generate Key', callback_data: 'api_key:new' }];
+  if (user.apiKeyHash || apiKey) buttons.push({ text: '🗑 Revoke Key', callback_data: 'api_key:revoke' });
+  return { text, extra: { reply_markup: { inline_keyboard: [buttons] } } };
+};
+
+makerBot.hears('🔑 API Key', async (ctx) => {
+  const userId = ctx.from.id.toString();
+  try {
+    const user = await User.findOne({ userId });
+    if (!user) {
+      ctx.reply('Please start the bot with /start.', mainMenu);
+      return;
+    }
+    if (user.isBlocked) {
+      ctx.reply(getBanNotice(user));
+      return;
+    }
+
+    const menu = buildApiKeyMenu(user);
+    await ctx.reply(menu.text, menu.extra);
+    await User.findOneAndUpdate({ userId }, { step: 'none' });
+  } catch (error) {
+    console.error('Error in API Key:', error);
+    ctx.reply('❌ An error occurred. Please try again.', mainMenu);
+  }
+});
+
+makerBot.action(/^api_key:(new|revoke)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+  try {
+    const user = await User.findOne({ userId });
+    if (!user || user.isBlocked) {
+      await ctx.answerCbQuery(getBanNotice(user), { show_alert: true });
+      return;
+    }
+
+    let apiKey;
+    if (ctx.match[1] === 'new') {
+      apiKey = generateApiKey();
+      user.apiKeyHash = hashApiKey(apiKey);
+      user.apiKeyCreatedAt = Math.floor(Date.now() / 1000);
+    } else {
+      user.apiKeyHash = undefined;
+      user.apiKeyCreatedAt = undefined;
+    }
+    await user.save();
+
+    await ctx.answerCbQuery(apiKey ? '✅ New API key generated' : '✅ API key revoked');
+    const menu = buildApiKeyMenu(user, apiKey);
+    await ctx.editMessageText(menu.text, menu.extra).catch(() => {});
+  } catch (error) {
+    console.error('Error in api_key action:', error);
+    ctx.answerCbQuery('❌ An error occurred. Please try again.').catch(() => {});
+  }
+});
+
+// Broadcast Pause/Resume/Cancel Buttons
+makerBot.action(/^bc:(pause|resume|cancel):([a-f0-9]{24})$/, async (ctx) => {
+  const [, action, jobId] = ctx.match;
+  try {
+    const transitions = {
+      pause: { from: ['running'], update: { status: 'paused' } },
+      resume: { from: ['paused'], update: { status: 'running', nextRunAt: new Date() } },
+      cancel: { from: ['running', 'paused'], update: { status: 'cancelled', finishedAt: Math.floor(Date.now() / 1000) } },
+    };
+    const job = await BroadcastJob.findOneAndUpdate(
+      { _id: jobId, adminId: ctx.from.id.toString(), status: { $in: transitions[action].from } },
+      transitions[action].update,
+      { new: true }
+    );
+    if (!job) {
+      await ctx.answerCbQuery('❌ This broadcast can no longer be changed.');
+      return;
+    }
+
+    if (action === 'cancel') {
+      await BroadcastRecipient.deleteMany({ jobId: job._id });
+    }
+    await ctx.answerCbQuery();
+    await updateBroadcastProgress(job);
+    if (action === 'resume') {
+      await triggerBroadcastWorker();
+    }
+  } catch (error) {
+    console.error('Error in broadcast control action:', error);
+    ctx.answerCbQuery('❌ An error occurred. Please try again.').catch(() => {});
+  }
+});
+
+// Scheduled Broadcast Edit/Cancel Buttons
+makerBot.action(/^sch:(edit|cancel):([a-f0-9]{24})$/, async (ctx) => {
+  const [, action, jobId] = ctx.match;
+  const userId = ctx.from.id.toString();
+  try {
+    const filter = { _id: jobId, adminId: userId, botToken: null, status: 'scheduled' };
+    const user = await User.findOne({ userId });
+
+    if (action === 'cancel') {
+      const job = await BroadcastJob.findOneAndDelete(filter);
+      await ctx.answerCbQuery(job ? '✅ Scheduled broadcast cancelled' : '❌ This broadcast is no longer scheduled.');
+      const jobs = await BroadcastJob.find({ adminId: userId, botToken: null, status: 'scheduled' }).sort({ scheduledAt: 1 });
+      const list = buildScheduledList(jobs, user?.timezone || 0);
+      await ctx.editMessageText(list.text, list.extra).catch(() => {});
+      return;
+    }
+
+    if (!(await BroadcastJob.exists(filter))) {
+      await ctx.answerCbQuery('❌ This broadcast is no longer scheduled.');
+      return;
+    }
+    await ctx.answerCbQuery();
+    await User.findOneAndUpdate({ userId }, { adminState: 'awaiting_broadcast_schedule', adminTarget: jobId });
+    ctx.reply(getSchedulePrompt(user?.timezone || 0), cancelKeyboard);
+  } catch (error) {
+    console.error('Error in scheduled broadcast action:', error);
+    ctx.answerCbQuery('❌ An error occurred. Please try again.').catch(() => {});
+  }
+});
+
+// /panel Command (Owner Only)
+makerBot.command('panel', async (ctx) => {
+  const userId = ctx.from.id.toString();
+  if (userId !== OWNER_ID) {
+    ctx.reply('❌ You are not authorized to use this command.');
+    return;
+  }
+
+  try {
+    await User.findOneAndUpdate({ userId }, { step: 'none', adminState: 'admin_panel' });
+    ctx.reply('🔧 Owner Admin Panel', ownerAdminPanel);
+  } catch (error) {
+    console.error('Error in /panel:', error);
+    ctx.reply('❌ An error occurred. Please try again.', mainMenu);
+  }
+});
+
+// /migrate_webhooks Command (Owner Only)
+// Moves bots registered with the legacy ?token= webhook URL to an opaque path and secret token
+makerBot.command('migrate_webhooks', async (ctx) => {
+  const userId = ctx.from.id.toString();
+  if (userId !== OWNER_ID) {
+    ctx.reply('❌ You are not authorized to use this command.');
+    return;
+  }
+
+  try {
+    const legacyBots = await Bot.find({ webhookId: { $exists: false } });
+    if (legacyBots.length === 0) {
+      ctx.reply('✅ All bots already use secured webhooks.');
+      return;
+    }
+
+    ctx.reply(`🔄 Migrating webhooks of ${legacyBots.length} bots...`);
+    let migrated = 0;
+    const failed = [];
+    for (const bot of legacyBots) {
+      const webhookCredentials = generateWebhookCredentials();
+      if (await setWebhook(getBotToken(bot), webhookCredentials)) {
+        await Bot.updateOne({ _id: bot._id }, webhookCredentials);
+        migrated++;
+      } else {
+        failed.push(`@${bot.username}`);
+      }
+    }
+
+    ctx.reply(
+      `✅ Migrated ${migrated} bots to secured webhooks.` +
+      (failed.length ? `\n❌ Failed for: ${failed.join(', ')}` : '')
+    );
+  } catch (error) {
+    console.error('Error in /migrate_webhooks:', error);
+    ctx.reply('❌ An error occurred. Please try again.');
+  }
+});
+
+// /migrate_bot_ids Command (Owner Only)
+// Re-keys the records of each bot from its token hash to its Telegram bot ID, which is the part
+// of the token before the colon. Run it after /migrate_tokens; created bots wait for it.
+makerBot.command('migrate_bot_ids', async (ctx) => {
+  const userId = ctx.from.id.toString();
+  if (userId !== OWNER_ID) {
+    ctx.reply('❌ You are not authorized to use this command.');
+    return;
+  }
+
+  try {
+    const legacyBots = await Bot.find({ botId: { $exists: false }, tokenEncrypted: { $exists: true } });
+    if (legacyBots.length === 0) {
+      ctx.reply('✅ All bots are already keyed by their bot ID.');
+      return;
+    }
+
+    let migrated = 0;
+    const duplicates = [];
+    for (const bot of legacyBots) {
+      const botId = decryptToken(bot.tokenEncrypted).split(':')[0];
+      // The same bot registered twice, e.g. recreated after a token change
+      if (await Bot.exists({ botId })) {
+        duplicates.push(`@${bot.username}`);
+        continue;
+      }
+      for (const Model of BOT_DATA_MODELS) {
+        await Model.updateMany({ botToken: bot.tokenHash }, { botToken: botId });
+      }
+      await Bot.updateOne({ _id: bot._id }, { botId });
+      migrated++;
+    }
+
+    ctx.reply(
+      `✅ Keyed the records of ${migrated} bots by their bot ID.` +
+      (duplicates.length > 0
+        ? `\n⚠️ Skipped bots registered twice: ${duplicates.join(', ')}. Remove the extra copy and run this again.`
+        : '')
+    );
+  } catch (error) {
+    console.error('Error in /migrate_bot_ids:', error);
+    ctx.reply('❌ An error occurred. Please try again.');
+  }
+});
+
+// /migrate_tokens Command (Owner Only)
+// Encrypts plaintext bot tokens and re-keys the records of those bots by the token hash
+makerBot.command('migrate_tokens', async (ctx) => {
+  const userId = ctx.from.id.toString();
+  if (userId !== OWNER_ID) {
+    ctx.reply('❌ You are not authorized to use this command.');
+    return;
+  }
+
+  try {
+    // The old unique index on the plaintext token would reject every bot after the first one without it
+    await Bot.collection.dropIndex('token_1').catch(() => {});
+
+    const legacyBots = await Bot.collection.find({ token: { $exists: true } }).toArray();
+    if (legacyBots.length === 0) {
+      ctx.reply('✅ All bot tokens are already encrypted.');
+      return;
+    }
+
+    for (const bot of legacyBots) {
+      const tokenHash = hashToken(bot.token);
+      for (const Model of BOT_DATA_MODELS) {
+        await Model.updateMany({ botToken: bot.token }, { botToken: tokenHash });
+      }
+      await Bot.collection.updateOne(
+        { _id: bot._id },
+        { $set: { tokenHash, tokenEncrypted: encryptToken(bot.token) }, $unset: { token: '' } }
+      );
+    }
+
+    ctx.reply(`✅ Encrypted the tokens of ${legacyBots.length} bots.`);
+  } catch (error) {
+    console.error('Error in /migrate_tokens:', error);
+    ctx.reply('❌ An error occurred. Please try again.');
+  }
+});
+
+// /clear Command (Owner Only)
+// Step one of three: the owner types the confirmation phrase, then picks whether to delete webhooks.
+// The worker then sends a snapshot to the owner before anything is deleted, see writeSnapshotStep.
+makerBot.command('clear', async (ctx) => {
+  const userId = ctx.from.id.toString();
+  if (userId !== OWNER_ID) {
+    console.log('Unauthorized access to /clear');
+    ctx.reply('❌ You are not authorized to use this command.');
+    return;
+  }
+
+  try {
+    const user = await User.findOneAndUpdate({ userId }, { step: 'none', adminState: 'awaiting_clear_confirm' });
+    if (!user) {
+      ctx.reply('Please start the bot with /start.', mainMenu);
+      return;
+    }
+
+    const [bots, users, botUsers] = await Promise.all([
+      Bot.countDocuments(), User.countDocuments(), BotUser.countDocuments(),
+    ]);
+    ctx.reply(
+      `⚠️ This deletes ALL Bot Maker data: ${bots} bots, ${users} users and ${botUsers} users of created bots, ` +
+      `with every setting, broadcast and ban.\n\n` +
+      `A snapshot is sent to you first, so you can bring it back with /restore.\n\n` +
+      `Type ${CLEAR_CONFIRM_PHRASE} to continue, or press Back.`,
+      backKeyboard
+    );
+  } catch (error) {
+    console.error('Error in /clear:', error);
+    ctx.reply('❌ An error occurred. Please try again.');
+  }
+});
+
+makerBot.action(/^clear:(webhooks|keep|cancel)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+  if (userId !== OWNER_ID) {
+    await ctx.answerCbQuery('❌ You are not authorized to use this command.', { show_alert: true });
+    return;
+  }
+
+  try {
+    // Claiming the state makes a stale or double-tapped button a no-op
+    const user = await User.findOneAndUpdate({ userId, adminState: 'awaiting_clear_mode' }, { adminState: 'admin_panel' });
+    if (!user) {
+      await ctx.answerCbQuery('❌ This confirmation has expired. Send /clear again.', { show_alert: true });
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      return;
+    }
+    if (ctx.match[1] === 'cancel') {
+      await ctx.answerCbQuery('✅ Clear cancelled');
+      await ctx.editMessageText('↩️ Clear cancelled. Nothing was deleted.').catch(() => {});
+      return;
+    }
+
+    await ctx.answerCbQuery();
+    if (await MaintenanceJob.exists({ status: 'running' })) {
+      await ctx.editMessageText('❌ A /clear or /restore is still running. Nothing was deleted.').catch(() => {});
+      return;
+    }
+    await MaintenanceJob.create({
+      type: 'clear',
+      adminId: userId,
+      deleteWebhooks: ctx.match[1] === 'webhooks',
+      collections: getSnapshotModelNames(),
+      phase: 'snapshot',
+      cursor: { index: 0, lastId: null, started: false, seq: 0, size: 0 },
+      lastIds: {},
+    });
+    await triggerBroadcastWorker();
+    await ctx.editMessageText(
+      '⏳ Creating a snapshot. It is sent to you here, then the data is cleared in the background. ' +
+      'You will get a message when it is done.'
+    ).catch(() => {});
+  } catch (error) {
+    console.error('Error during /clear:', error);
+    ctx.reply('❌ Failed to clear data. Please try again.');
+  }
+});
+
+// /restore Command (Owner Only)
+// Replaces the collections in a snapshot sent by /clear with its contents, see restoreSnapshotStep
+makerBot.command('restore', async (ctx) => {
+  const userId = ctx.from.id.toString();
+  if (userId !== OWNER_ID) {
+    ctx.reply('❌ You are not authorized to use this command.');
+    return;
+  }
+
+  try {
+    // The owner's record may be gone after /clear, and the state needs somewhere to live
+    await User.findOneAndUpdate(
+      { userId },
+      { step: 'none', adminState: 'awaiting_restore', $setOnInsert: { username: ctx.from.username || ctx.from.first_name } },
+      { upsert: true }
+    );
+    ctx.reply(
+      '💾 Send the snapshot file from /clear.\n\n' +
+      '⚠️ Every collection in the snapshot is replaced with its contents, including data added since.',
+      backKeyboard
+    );
+  } catch (error) {
+    console.error('Error in /restore:', error);
+    ctx.reply('❌ An error occurred. Please try again.');
+  }
+});
+
+const handleRestoreInput = async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const document = ctx.message.document;
+  if (!document) {
+    ctx.reply('❌ Please send the snapshot as a file, or press Back.', backKeyboard);
+    return;
+  }
+
+  if (document.file_size > SNAPSHOT_MAX_BYTES) {
+    ctx.reply('❌ This file is larger than 20 MB, so it cannot be a snapshot from /clear.', backKeyboard);
+    return;
+  }
+
+  if (await MaintenanceJob.exists({ status: 'running' })) {
+    ctx.reply('❌ A /clear or /restore is still running. Send the file again when it is done, or press Back.', backKeyboard);
+    return;
+  }
+
+  await MaintenanceJob.create({ type: 'restore', adminId: userId, fileId: document.file_id, phase: 'download' });
+  await User.findOneAndUpdate({ userId }, { step: 'none', adminState: 'admin_panel' });
+  await triggerBroadcastWorker();
+  ctx.reply('⏳ Restoring in the background. You will get a message when it is done.', ownerAdminPanel);
+};
+
+// Starts a transfer of the bot picked in My Bots to the user whose ID is sent or whose message is
+// forwarded. Any message type can be a forward, so both the text and the message handler use this.
+const handleTransferInput = async (ctx, user) => {
+  const userId = ctx.from.id.toString();
+  const text = ctx.message.text || '';
+  if (text === 'Back') {
+    ctx.reply('↩️ Back to main menu.', mainMenu);
+    await User.findOneAndUpdate({ userId }, { step: 'none', $unset: { pendingBotId: 1 } });
+    return;
+  }
+
+  const bot = mongoose.isValidObjectId(user.pendingBotId)
+    ? await Bot.findOne({ _id: user.pendingBotId, creatorId: userId })
+    : null;
+  if (!bot) {
+    ctx.reply('❌ This bot no longer exists.', mainMenu);
+    await User.findOneAndUpdate({ userId }, { step: 'none', $unset: { pendingBotId: 1 } });
+    return;
+  }
+
+  const forwardedUser = ctx.message.forward_origin?.sender_user || ctx.message.forward_from;
+  const recipientId = forwardedUser ? forwardedUser.id.toString() : text.trim();
+  if (!/^\d+$/.test(recipientId)) {
+    ctx.reply('❌ Invalid user ID. Send a numeric user ID or forward a message from the user.', backKeyboard);
+    return;
+  }
+  if (recipientId === userId) {
+    ctx.reply('❌ You already own this bot.', backKeyboard);
+    return;
+  }
+  const recipient = await User.findOne({ userId: recipientId });
+  if (!recipient || recipient.isBlocked) {
+    ctx.reply('❌ This user has not started Bot Maker. Ask them to send /start first.', backKeyboard);
+    return;
+  }
+
+  const transfer = await BotTransfer.findOneAndUpdate(
+    { botToken: getBotKey(bot) },
+    { fromUserId: userId, toUserId: recipientId, expiresAt: new Date(Date.now() + TRANSFER_TTL_HOURS * 3600000) },
+    { upsert: true, new: true }
+  );
+  const sender = user.username || userId;
+  const delivered = await makerBot.telegram.sendMessage(recipientId,
+    `🔄 ${sender} wants to transfer the bot @${bot.username} to you.\n\n` +
+    `If you accept, you become its owner with all of its users and settings. This offer expires in ${TRANSFER_TTL_HOURS} hours.`,
+    {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Accept', callback_data: `transfer_accept:${transfer._id}` },
+          { text: '❌ Decline', callback_data: `transfer_decline:${transfer._id}` },
+        ]],
+      },
+    }
+  ).catch(() => null);
+  if (!delivered) {
+    await BotTransfer.deleteOne({ _id: transfer._id });
+    ctx.reply('❌ Could not reach this user. They may have blocked Bot Maker.', mainMenu);
+    await User.findOneAndUpdate({ userId }, { step: 'none', $unset: { pendingBotId: 1 } });
+    return;
+  }
+
+  ctx.reply(
+    `📨 Transfer request for @${bot.username} sent to ${recipient.username || recipientId}. ` +
+    `The bot stays yours until they accept.`,
+    { reply_markup: { inline_keyboard: [[{ text: '❌ Cancel Transfer', callback_data: `transfer_cancel:${transfer._id}` }]] } }
+  );
+  ctx.reply('↩️ Back to main menu.', mainMenu);
+  await User.findOneAndUpdate({ userId }, { step: 'none', $unset: { pendingBotId: 1 } });
+};
+
+const BROADCAST_INPUT_STATES = [
+  'awaiting_broadcast_user',
+  'awaiting_broadcast_sub',
+  'awaiting_broadcast_buttons',
+  'awaiting_broadcast_schedule',
+];
+
+// Builds a broadcast from what the owner sends after 📢 Broadcast User / 📣 Broadcast Sub:
+// first the content (any message type or an album), then optional URL buttons
+const handleBroadcastInput = async (ctx, user) => {
+  const userId = user.userId;
+  const message = ctx.message;
+  const text = message.text;
+
+  if (text === 'Cancel') {
+    await BroadcastJob.deleteMany({ adminId: userId, botToken: null, status: 'draft' });
+    ctx.reply('↩️ Broadcast cancelled.', ownerAdminPanel);
+    await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
+    return;
+  }
 
-// Create Bot
-makerBot.hears('🛠 Create Bot', async (ctx) => {
-  const userId = ctx.from.id.toString();
-  try {
-    const user = await User.findOne({ userId });
-    if (user && user.isBlocked) {
-      ctx.reply('🚫 You have been banned by the admin.');
+  if (user.adminState === 'awaiting_broadcast_schedule') {
+    const schedule = parseSchedule(text, user.timezone);
+    if (!schedule) {
+      ctx.reply(`❌ Invalid date or time.\n\n${getSchedulePrompt(user.timezone)}`, cancelKeyboard);
+      return;
+    }
+    if (schedule.scheduledAt <= new Date()) {
+      ctx.reply('❌ This time is in the past. Please send a future date and time.', cancelKeyboard);
       return;
     }
 
-    ctx.reply('Send your bot token from @BotFather to make your bot:', backKeyboard);
-    await User.findOneAndUpdate({ userId }, { step: 'create_bot' });
-  } catch (error) {
-    console.error('Error in Create Bot:', error);
-    ctx.reply('❌ An error occurred. Please try again.', mainMenu);
+    const job = await BroadcastJob.findOneAndUpdate(
+      { _id: user.adminTarget, adminId: userId, botToken: null, status: { $in: ['draft', 'scheduled'] } },
+      { status: 'scheduled', scheduledAt: schedule.scheduledAt, repeat: schedule.repeat },
+      { new: true }
+    );
+    if (!job) {
+      ctx.reply('❌ This broadcast no longer exists.', ownerAdminPanel);
+    } else {
+      ctx.reply(
+        `🗓 Broadcast scheduled for ${formatScheduleTime(job.scheduledAt, schedule.offset)} (${formatUtcOffset(schedule.offset)})` +
+        `${job.repeat !== 'none' ? `, repeating ${job.repeat}` : ''}.\n` +
+        `Keep the original message until then. Manage it from 🗓 Scheduled.`,
+        ownerAdminPanel
+      );
+    }
+    await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel', timezone: schedule.offset });
+    return;
   }
-});
 
-// Delete Bot
-makerBot.hears('🗑️ Delete Bot', async (ctx) => {
-  const userId = ctx.from.id.toString();
-  try {
-    const user = await User.findOne({ userId });
-    if (user && user.isBlocked) {
-      ctx.reply('🚫 You have been banned by the admin.');
+  if (user.adminState === 'awaiting_broadcast_buttons' && !message.media_group_id) {
+    const draft = await BroadcastJob.findOne({ adminId: userId, botToken: null, status: 'draft' }).sort({ _id: -1 });
+    if (!draft) {
+      ctx.reply('❌ This broadcast draft no longer exists.', ownerAdminPanel);
+      await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
       return;
     }
 
-    ctx.reply('Send your created bot token you want to delete:', backKeyboard);
-    await User.findOneAndUpdate({ userId }, { step: 'delete_bot' });
-  } catch (error) {
-    console.error('Error in Delete Bot:', error);
-    ctx.reply('❌ An error occurred. Please try again.', mainMenu);
-  }
-});
+    if (text === '✅ Send Now') {
+      await ctx.reply(
+        draft.scope === 'sub'
+          ? '📣 Broadcast to Created Bot Users started. Progress is shown below.'
+          : '📢 Broadcast to Bot Maker Users started. Progress is shown below.',
+        ownerAdminPanel
+      );
+      await startBroadcastJob(draft);
+      await triggerBroadcastWorker();
+      await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
+      return;
+    }
 
-// List My Bots
-makerBot.hears('📋 My Bots', async (ctx) => {
-  const userId = ctx.from.id.toString();
-  try {
-    const user = await User.findOne({ userId });
-    if (user && user.isBlocked) {
-      ctx.reply('🚫 You have been banned by the admin.');
+    if (text === '🕒 Schedule') {
+      ctx.reply(getSchedulePrompt(user.timezone), cancelKeyboard);
+      await User.findOneAndUpdate({ userId }, { adminState: 'awaiting_broadcast_schedule', adminTarget: draft._id.toString() });
       return;
     }
 
-    const userBots = await Bot.find({ creatorId: userId });
-    let message = '📋 Your Bots:\n\n';
-    if (userBots.length === 0) {
-      message += 'You have not created any bots yet.';
-    } else {
-      userBots.forEach((bot) => {
-        const createdAt = getRelativeTime(bot.createdAt);
-        message += `🤖 @${bot.username}\nCreated: ${createdAt}\n\n`;
-      });
+    const buttons = text && parseUrlButtons(text);
+    if (!buttons) {
+      ctx.reply(`❌ Invalid buttons.\n\n${broadcastBuilderPrompt}`, broadcastBuilderKeyboard);
+      return;
     }
-    ctx.reply(message, mainMenu);
-  } catch (error) {
-    console.error('Error in My Bots:', error);
-    ctx.reply('❌ An error occurred. Please try again.', mainMenu);
+    if (draft.messageIds.length > 1) {
+      ctx.reply('❌ Albums can\'t have buttons. Tap ✅ Send Now to broadcast the album.', broadcastBuilderKeyboard);
+      return;
+    }
+
+    draft.buttons = buttons;
+    await draft.save();
+    await ctx.reply('👀 Preview:');
+    await sendBroadcastMessage(ctx.telegram, userId, draft);
+    ctx.reply('Send new buttons to replace them, or tap ✅ Send Now.', broadcastBuilderKeyboard);
+    return;
   }
-});
 
-// /panel Command (Owner Only)
-makerBot.command('panel', async (ctx) => {
-  const userId = ctx.from.id.toString();
-  if (userId !== OWNER_ID) {
-    ctx.reply('❌ You are not authorized to use this command.');
+  const scope = user.adminState === 'awaiting_broadcast_sub' ? 'sub' : 'user';
+  if (scope === 'sub' && !text) {
+    ctx.reply('❌ Sub broadcasts support text messages only: created bots can\'t access media sent to Bot Maker.', cancelKeyboard);
     return;
   }
 
-  try {
-    await User.findOneAndUpdate({ userId }, { step: 'none', adminState: 'admin_panel' });
-    ctx.reply('🔧 Owner Admin Panel', ownerAdminPanel);
-  } catch (error) {
-    console.error('Error in /panel:', error);
-    ctx.reply('❌ An error occurred. Please try again.', mainMenu);
+  const { isNew } = await saveBroadcastDraft({ scope, adminId: userId, message });
+  if (isNew) {
+    ctx.reply(broadcastBuilderPrompt, broadcastBuilderKeyboard);
+    await User.findOneAndUpdate({ userId }, { adminState: 'awaiting_broadcast_buttons' });
   }
-});
+};
 
 // Handle Text Input
 makerBot.on('text', async (ctx) => {
   const userId = ctx.from.id.toString();
   const text = ctx.message.text;
-  const message = ctx.message;
 
   try {
     const user = await User.findOne({ userId });
@@ -362,20 +2447,49 @@ makerBot.on('text', async (ctx) => {
     }
 
     if (user.isBlocked) {
-      ctx.reply('🚫 You have been banned by the admin.');
+      ctx.reply(getBanNotice(user));
       return;
     }
 
+    // Handle /clear and /restore
+    if (userId === OWNER_ID && ['awaiting_clear_confirm', 'awaiting_restore'].includes(user.adminState)) {
+      if (text === 'Back') {
+        ctx.reply('↩️ Nothing was changed.', ownerAdminPanel);
+        await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
+      } else if (user.adminState === 'awaiting_restore') {
+        await handleRestoreInput(ctx);
+      } else if (text.trim() !== CLEAR_CONFIRM_PHRASE) {
+        ctx.reply('❌ The phrase does not match. Nothing was deleted.', ownerAdminPanel);
+        await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
+      } else {
+        await User.findOneAndUpdate({ userId }, { adminState: 'awaiting_clear_mode' });
+        ctx.reply('🔌 Should the webhooks of all created bots be deleted too? Otherwise Telegram keeps sending their updates here.', {
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: '🔌 Clear and delete webhooks', callback_data: 'clear:webhooks' }],
+              [{ text: '🗑 Clear, keep webhooks', callback_data: 'clear:keep' }],
+              [{ text: '❌ Cancel', callback_data: 'clear:cancel' }],
+            ],
+          },
+        });
+      }
+    }
+
     // Handle Owner Admin Panel Actions
-    if (userId === OWNER_ID && user.adminState === 'admin_panel') {
+    else if (userId === OWNER_ID && user.adminState === 'admin_panel') {
       if (text === '📊 Statistics') {
-        const totalUsers = await User.countDocuments({ isBlocked: false });
+        const activeUsers = await User.countDocuments({ isBlocked: false, isActive: { $ne: false } });
+        const inactiveUsers = await User.countDocuments({ isBlocked: false, isActive: false });
+        const bannedUsers = await User.countDocuments({ isBlocked: true });
         const totalBots = await Bot.countDocuments();
+        const deadBots = await Bot.countDocuments({ health: 'dead' });
         const topBots = await Bot.aggregate([
+          { $match: { health: { $ne: 'dead' } } },
+          { $addFields: { botKey: { $ifNull: ['$botId', '$tokenHash', '$token'] } } },
           {
             $lookup: {
               from: 'botusers',
-              localField: 'token',
+              localField: 'botKey',
               foreignField: 'botToken',
               as: 'users',
             },
@@ -390,8 +2504,11 @@ makerBot.on('text', async (ctx) => {
         ]);
 
         let statsMessage = `📊 Bot Maker Statistics\n\n` +
-                          `👥 Total Users: ${totalUsers}\n` +
-                          `🤖 Total Bots Created: ${totalBots}\n\n` +
+                          `👥 Active Users: ${activeUsers}\n` +
+                          `🚫 Blocked the Bot: ${inactiveUsers}\n` +
+                          `⛔ Banned by Admin: ${bannedUsers}\n` +
+                          `🤖 Total Bots Created: ${totalBots}\n` +
+                          `☠️ Dead Bots: ${deadBots} (see 🩺 Bot Health)\n\n` +
                           `🏆 Top 20 Bots by User Count:\n\n`;
 
         if (topBots.length === 0) {
@@ -402,7 +2519,7 @@ makerBot.on('text', async (ctx) => {
             statsMessage += `🔹 #${index + 1}\n` +
                            `Bot: @${bot.username}\n` +
                            `Creator: @${bot.creatorUsername || 'Unknown'}\n` +
-                           `Token: ${bot.token}\n` +
+                           `Token: ${maskToken(getBotToken(bot))}\n` +
                            `Users: ${bot.userCount}\n` +
                            `Created: ${createdAt}\n\n`;
           });
@@ -410,7 +2527,7 @@ makerBot.on('text', async (ctx) => {
 
         ctx.reply(statsMessage, ownerAdminPanel);
       } else if (text === '📢 Broadcast User') {
-        const userCount = await User.countDocuments({ isBlocked: false });
+        const userCount = await User.countDocuments({ isBlocked: false, isActive: { $ne: false } });
         if (userCount === 0) {
           ctx.reply('❌ No users have joined Bot Maker yet.', ownerAdminPanel);
         } else {
@@ -418,20 +2535,33 @@ makerBot.on('text', async (ctx) => {
           await User.findOneAndUpdate({ userId }, { adminState: 'awaiting_broadcast_user' });
         }
       } else if (text === '📣 Broadcast Sub') {
-        const allBotUsers = await BotUser.find({ hasJoined: true, isBlocked: false }).distinct('userId');
+        const allBotUsers = await BotUser.find({ hasJoined: true, isBlocked: false, isActive: { $ne: false } }).distinct('userId');
         const userCount = allBotUsers.length;
         if (userCount === 0) {
           ctx.reply('❌ No users have joined any created bots yet.', ownerAdminPanel);
         } else {
-          ctx.reply(`📣 Send your message or content to broadcast to ${userCount} users of created bots:`, cancelKeyboard);
+          ctx.reply(`📣 Send your text message to broadcast to ${userCount} users of created bots:`, cancelKeyboard);
           await User.findOneAndUpdate({ userId }, { adminState: 'awaiting_broadcast_sub' });
         }
+      } else if (text === '🗓 Scheduled') {
+        const jobs = await BroadcastJob.find({ adminId: userId, botToken: null, status: 'scheduled' }).sort({ scheduledAt: 1 });
+        const list = buildScheduledList(jobs, user.timezone);
+        ctx.reply(list.text, list.extra);
       } else if (text === '🚫 Block') {
-        ctx.reply('🚫 Enter the user ID of the account you want to block from Bot Maker:', cancelKeyboard);
+        ctx.reply('🚫 Enter the user ID of the account you want to ban:', cancelKeyboard);
         await User.findOneAndUpdate({ userId }, { adminState: 'awaiting_block' });
       } else if (text === '🔓 Unlock') {
         ctx.reply('🔓 Enter the user ID of the account you want to unblock from Bot Maker:', cancelKeyboard);
         await User.findOneAndUpdate({ userId }, { adminState: 'awaiting_unlock' });
+      } else if (text === '📜 Ban History') {
+        ctx.reply('📜 Enter the user ID to show the ban history of:', cancelKeyboard);
+        await User.findOneAndUpdate({ userId }, { adminState: 'awaiting_ban_history' });
+      } else if (text === '🩺 Bot Health') {
+        const list = await buildBotHealthList();
+        ctx.reply(list.text, list.extra);
+      } else if (text === '💎 Plans') {
+        const menu = await buildPlansMenu();
+        ctx.reply(menu.text, menu.extra);
       } else if (text === '🗑️ Remove Bot') {
         ctx.reply('🗑️ Enter the bot token of the bot you want to remove from Bot Maker:', cancelKeyboard);
         await User.findOneAndUpdate({ userId }, { adminState: 'awaiting_remove_bot' });
@@ -441,49 +2571,96 @@ makerBot.on('text', async (ctx) => {
       }
     }
 
-    // Handle Broadcast User Input
-    else if (userId === OWNER_ID && user.adminState === 'awaiting_broadcast_user') {
+    // Handle Broadcast Input
+    else if (userId === OWNER_ID && BROADCAST_INPUT_STATES.includes(user.adminState)) {
+      await handleBroadcastInput(ctx, user);
+    }
+
+    // Handle Block Input
+    else if (userId === OWNER_ID && user.adminState === 'awaiting_block') {
       if (text === 'Cancel') {
-        ctx.reply('↩️ Broadcast cancelled.', ownerAdminPanel);
+        ctx.reply('↩️ Block action cancelled.', ownerAdminPanel);
         await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
         return;
       }
 
-      const targetUsers = await User.find({ isBlocked: false });
-      const { successCount, failCount } = await broadcastMessage(makerBot, message, targetUsers, userId);
+      const targetUserId = text.trim();
+      if (!/^\d+$/.test(targetUserId)) {
+        ctx.reply('❌ Invalid user ID. Please provide a numeric user ID (only numbers).', cancelKeyboard);
+        return;
+      }
+
+      if (targetUserId === OWNER_ID) {
+        ctx.reply('❌ You cannot block yourself.', cancelKeyboard);
+        return;
+      }
+
+      if (!await User.exists({ userId: targetUserId }) && !await BotUser.exists({ userId: targetUserId })) {
+        ctx.reply('❌ User not found.', ownerAdminPanel);
+        await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
+        return;
+      }
 
       ctx.reply(
-        `📢 Broadcast to Bot Maker Users completed!\n` +
-        `✅ Sent to ${successCount} users\n` +
-        `❌ Failed for ${failCount} users`,
-        ownerAdminPanel
+        `🚫 Ban ${targetUserId} from Bot Maker only, or everywhere (Bot Maker and all created bots)?`,
+        banScopeKeyboard
       );
-      await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
+      await User.findOneAndUpdate({ userId }, { adminState: 'awaiting_ban_scope', adminTarget: targetUserId });
+    }
+
+    // Handle Ban Scope Input
+    else if (userId === OWNER_ID && user.adminState === 'awaiting_ban_scope') {
+      if (text === 'Cancel') {
+        ctx.reply('↩️ Block action cancelled.', ownerAdminPanel);
+        await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
+        return;
+      }
+
+      const scopes = { '🤖 Bot Maker only': 'maker', '🌐 Everywhere': 'global' };
+      if (!scopes[text]) {
+        ctx.reply('❌ Please choose one of the options below.', banScopeKeyboard);
+        return;
+      }
+      if (scopes[text] === 'maker' && !await User.exists({ userId: user.adminTarget })) {
+        ctx.reply('❌ This user has never used Bot Maker. Choose 🌐 Everywhere to ban them from created bots.', banScopeKeyboard);
+        return;
+      }
+
+      ctx.reply(BAN_DETAILS_PROMPT, banDetailsKeyboard);
+      await User.findOneAndUpdate({ userId }, {
+        adminState: 'awaiting_ban_details',
+        adminTarget: `${user.adminTarget}:${scopes[text]}`,
+      });
     }
 
-    // Handle Broadcast Sub Input
-    else if (userId === OWNER_ID && user.adminState === 'awaiting_broadcast_sub') {
+    // Handle Ban Duration and Reason Input
+    else if (userId === OWNER_ID && user.adminState === 'awaiting_ban_details') {
       if (text === 'Cancel') {
-        ctx.reply('↩️ Broadcast cancelled.', ownerAdminPanel);
+        ctx.reply('↩️ Block action cancelled.', ownerAdminPanel);
         await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
         return;
       }
 
-      const { totalSuccess, totalFail } = await broadcastSubMessage(message, userId);
+      const details = parseBanDetails(text);
+      if (!details) {
+        ctx.reply(`❌ Invalid duration.\n\n${BAN_DETAILS_PROMPT}`, banDetailsKeyboard);
+        return;
+      }
 
+      const [targetUserId, scope] = (user.adminTarget || '').split(':');
+      await banUser({ userId: targetUserId, issuedBy: userId, ...details, global: scope === 'global' });
       ctx.reply(
-        `📣 Broadcast to Created Bot Users completed!\n` +
-        `✅ Sent to ${totalSuccess} users\n` +
-        `❌ Failed for ${totalFail} users`,
+        `✅ User ${targetUserId} has been banned ${scope === 'global' ? 'from Bot Maker and all created bots' : 'from Bot Maker'} ` +
+        `${details.duration ? `for ${formatDuration(details.duration)}` : 'permanently'}.`,
         ownerAdminPanel
       );
       await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
     }
 
-    // Handle Block Input
-    else if (userId === OWNER_ID && user.adminState === 'awaiting_block') {
+    // Handle Ban History Input
+    else if (userId === OWNER_ID && user.adminState === 'awaiting_ban_history') {
       if (text === 'Cancel') {
-        ctx.reply('↩️ Block action cancelled.', ownerAdminPanel);
+        ctx.reply('↩️ Ban history cancelled.', ownerAdminPanel);
         await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
         return;
       }
@@ -494,8 +2671,22 @@ makerBot.on('text', async (ctx) => {
         return;
       }
 
-      if (targetUserId === OWNER_ID) {
-        ctx.reply('❌ You cannot block yourself.', cancelKeyboard);
+      const records = await BanRecord.find({ userId: targetUserId, botToken: null }).sort({ createdAt: -1 }).limit(20).lean();
+      ctx.reply(buildBanHistory(targetUserId, records), ownerAdminPanel);
+      await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
+    }
+
+    // Handle Unlock Input
+    else if (userId === OWNER_ID && user.adminState === 'awaiting_unlock') {
+      if (text === 'Cancel') {
+        ctx.reply('↩️ Unlock action cancelled.', ownerAdminPanel);
+        await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
+        return;
+      }
+
+      const targetUserId = text.trim();
+      if (!/^\d+$/.test(targetUserId)) {
+        ctx.reply('❌ Invalid user ID. Please provide a numeric user ID (only numbers).', cancelKeyboard);
         return;
       }
 
@@ -506,34 +2697,63 @@ makerBot.on('text', async (ctx) => {
         return;
       }
 
-      await User.findOneAndUpdate({ userId: targetUserId }, { isBlocked: true });
-      ctx.reply(`✅ User ${targetUserId} has been blocked from Bot Maker.`, ownerAdminPanel);
+      await unbanUser({ userId: targetUserId, issuedBy: userId });
+      ctx.reply(`✅ User ${targetUserId} has been unblocked from Bot Maker.`, ownerAdminPanel);
       await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
     }
 
-    // Handle Unlock Input
-    else if (userId === OWNER_ID && user.adminState === 'awaiting_unlock') {
+    // Handle Default Quota and Referral Bonus Input
+    else if (userId === OWNER_ID && ['awaiting_default_quota', 'awaiting_referral_bonus'].includes(user.adminState)) {
       if (text === 'Cancel') {
-        ctx.reply('↩️ Unlock action cancelled.', ownerAdminPanel);
+        ctx.reply('↩️ Plan change cancelled.', ownerAdminPanel);
         await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
         return;
       }
 
-      const targetUserId = text.trim();
-      if (!/^\d+$/.test(targetUserId)) {
-        ctx.reply('❌ Invalid user ID. Please provide a numeric user ID (only numbers).', cancelKeyboard);
+      const value = Number(text.trim());
+      if (!Number.isInteger(value) || value < 0 || value > 1000) {
+        ctx.reply('❌ Please send a whole number from 0 to 1000.', cancelKeyboard);
         return;
       }
 
-      const targetUser = await User.findOne({ userId: targetUserId });
+      if (user.adminState === 'awaiting_default_quota') {
+        await setSetting('defaultBotQuota', value);
+        ctx.reply(`✅ Users on plans without their own limit may now create ${value} bots.`, ownerAdminPanel);
+      } else {
+        await setSetting('referralsPerBonusSlot', value);
+        ctx.reply(value > 0 ? `✅ Users now get an extra bot slot for every ${value} referrals.` : '✅ Referral bonus turned off.', ownerAdminPanel);
+      }
+      await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
+    }
+
+    // Handle User Plan Input
+    else if (userId === OWNER_ID && user.adminState === 'awaiting_user_plan') {
+      if (text === 'Cancel') {
+        ctx.reply('↩️ Plan change cancelled.', ownerAdminPanel);
+        await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
+        return;
+      }
+
+      const [, targetUserId, tierKey, quotaInput] = text.trim().match(/^(\d+)\s+(\w+)(?:\s+(\d{1,4}))?$/) || [];
+      if (!targetUserId || !tiers[tierKey.toLowerCase()]) {
+        ctx.reply(`❌ Invalid input. Send the user ID and one of these plans: ${Object.keys(tiers).join(', ')}.`, cancelKeyboard);
+        return;
+      }
+
+      const tier = tierKey.toLowerCase();
+      const update = quotaInput === undefined ? { tier, $unset: { botQuota: 1 } } : { tier, botQuota: Number(quotaInput) };
+      const targetUser = await User.findOneAndUpdate({ userId: targetUserId }, update, { new: true });
       if (!targetUser) {
         ctx.reply('❌ User not found.', ownerAdminPanel);
         await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
         return;
       }
 
-      await User.findOneAndUpdate({ userId: targetUserId }, { isBlocked: false });
-      ctx.reply(`✅ User ${targetUserId} has been unblocked from Bot Maker.`, ownerAdminPanel);
+      const quota = await getBotQuota(targetUser);
+      ctx.reply(`✅ ${targetUser.username || targetUserId} is now on ${tiers[tier].name} with ${quota.total} bots.`, ownerAdminPanel);
+      await makerBot.telegram.sendMessage(targetUserId,
+        `💎 Your plan is now ${tiers[tier].name}. You can create up to ${quota.total} bots.`
+      ).catch(() => {});
       await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
     }
 
@@ -545,95 +2765,99 @@ makerBot.on('text', async (ctx) => {
         return;
       }
 
-      const botToken = text.trim();
-      const bot = await Bot.findOne({ token: botToken });
+      const bot = await Bot.findOne({ $or: [{ tokenHash: hashToken(text.trim()) }, { token: text.trim() }] });
       if (!bot) {
         ctx.reply('❌ Bot token not found.', ownerAdminPanel);
         await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
         return;
       }
 
-      await deleteWebhook(botToken);
-      await Bot.deleteOne({ token: botToken });
-      await BotUser.deleteMany({ botToken });
-      await ChannelUrl.deleteOne({ botToken });
+      await deleteBotData(bot);
 
       ctx.reply(`✅ Bot @${bot.username} has been removed from Bot Maker.`, ownerAdminPanel);
       await User.findOneAndUpdate({ userId }, { adminState: 'admin_panel' });
     }
 
-    // Handle Create/Delete Bot Input
-    else if (user.step === 'create_bot') {
+    // Handle Transfer Recipient Input
+    else if (user.step === 'transfer_bot') {
+      await handleTransferInput(ctx, user);
+    }
+
+    // Handle Update Token Input
+    else if (user.step === 'update_token') {
       if (text === 'Back') {
         ctx.reply('↩️ Back to main menu.', mainMenu);
-        await User.findOneAndUpdate({ userId }, { step: 'none', adminState: 'none' });
+        await User.findOneAndUpdate({ userId }, { step: 'none', $unset: { pendingBotId: 1 } });
         return;
       }
 
-      const botInfo = await validateBotToken(text);
-      if (!botInfo) {
-        ctx.reply('❌ Invalid bot token. Please try again:', backKeyboard);
+      const bot = mongoose.isValidObjectId(user.pendingBotId)
+        ? await Bot.findOne({ _id: user.pendingBotId, creatorId: userId })
+        : null;
+      if (!bot) {
+        ctx.reply('❌ This bot no longer exists.', mainMenu);
+        await User.findOneAndUpdate({ userId }, { step: 'none', $unset: { pendingBotId: 1 } });
         return;
       }
 
-      const existingBot = await Bot.findOne({ token: text });
-      if (existingBot) {
-        ctx.reply('❌ This bot token is already in use.', mainMenu);
-        await User.findOneAndUpdate({ userId }, { step: 'none' });
+      const { error, username } = await updateBotToken(bot, text.trim());
+      const errorTexts = {
+        invalid_token: '❌ Invalid bot token. Please try again:',
+        other_bot: `❌ This token belongs to @${username}, not @${bot.username}. Please send the token of @${bot.username}:`,
+        same_token: '❌ This is already the current token of the bot. Please send the new one:',
+        token_in_use: '❌ This bot token is already in use.',
+        webhook_failed: '❌ Failed to set up the bot with the new token. Please try again.',
+      };
+      if (['invalid_token', 'other_bot', 'same_token'].includes(error)) {
+        ctx.reply(errorTexts[error], backKeyboard);
         return;
       }
-
-      const webhookSet = await setWebhook(text);
-      if (!webhookSet) {
-        ctx.reply('❌ Failed to set up the bot. Please try again.', mainMenu);
-        await User.findOneAndUpdate({ userId }, { step: 'none' });
+      if (error) {
+        ctx.reply(errorTexts[error], mainMenu);
+        await User.findOneAndUpdate({ userId }, { step: 'none', $unset: { pendingBotId: 1 } });
         return;
       }
 
-      const username = ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name;
-      await Bot.create({
-        token: text,
-        username: botInfo.username,
-        creatorId: userId,
-        creatorUsername: ctx.from.username || ctx.from.first_name,
-      });
-
-      const totalBots = await Bot.countDocuments();
-      const createdAt = getRelativeTime(Math.floor(Date.now() / 1000));
-      const notification = `🤖 New Bot Created Notification 🤖\n` +
-                          `👤 Creator: ${username}\n` +
-                          `🆔 Creator ID: ${userId}\n` +
-                          `🤖 Bot: @${botInfo.username}\n` +
-                          `📅 Created: ${createdAt}\n` +
-                          `📊 Total Bots Created: ${totalBots}`;
-      await makerBot.telegram.sendMessage(OWNER_ID, notification);
+      ctx.reply(`✅ @${bot.username} now uses the new token. All of its users and settings were kept.`, mainMenu);
+      await User.findOneAndUpdate({ userId }, { step: 'none', $unset: { pendingBotId: 1 } });
+    }
 
-      ctx.reply(
-        `✅ Your bot @${botInfo.username} made successfully! Send /panel to manage it.`,
-        mainMenu
-      );
-      await User.findOneAndUpdate({ userId }, { step: 'none' });
-    } else if (user.step === 'delete_bot') {
+    // Handle Create Bot Input
+    else if (user.step === 'create_bot') {
       if (text === 'Back') {
         ctx.reply('↩️ Back to main menu.', mainMenu);
         await User.findOneAndUpdate({ userId }, { step: 'none', adminState: 'none' });
         return;
       }
 
-      const bot = await Bot.findOne({ token: text });
-      if (!bot) {
-        ctx.reply('❌ Bot token not found.', mainMenu);
+      const { bot, error } = await createBotFromToken({
+        token: text,
+        creatorId: userId,
+        creatorUsername: ctx.from.username,
+        creatorName: ctx.from.first_name,
+        template: user.pendingTemplate,
+      });
+      if (error === 'invalid_token') {
+        ctx.reply('❌ Invalid bot token. Please try again:', backKeyboard);
+        return;
+      }
+      if (error) {
+        const errorTexts = {
+          quota_reached: await getQuotaReachedText(user),
+          token_in_use: '❌ This bot token is already in use.',
+          bot_exists: '❌ This bot is already in Bot Maker. If you regenerated its token, use 🔁 Update Token instead.',
+          webhook_failed: '❌ Failed to set up the bot. Please try again.',
+        };
+        ctx.reply(errorTexts[error], mainMenu);
         await User.findOneAndUpdate({ userId }, { step: 'none' });
         return;
       }
 
-      await deleteWebhook(text);
-      await Bot.deleteOne({ token: text });
-      await BotUser.deleteMany({ botToken: text });
-      await ChannelUrl.deleteOne({ botToken: text });
-
-      ctx.reply('✅ Bot has been deleted and disconnected from Bot Maker.', mainMenu);
-      await User.findOneAndUpdate({ userId }, { step: 'none' });
+      ctx.reply(
+        `✅ Your bot @${bot.username} made successfully! Send /panel to manage it.`,
+        mainMenu
+      );
+      await User.findOneAndUpdate({ userId }, { step: 'none', $unset: { pendingTemplate: 1 } });
     } else if (text === 'Back') {
       ctx.reply('↩️ Back to main menu.', mainMenu);
       await User.findOneAndUpdate({ userId }, { step: 'none', adminState: 'none' });
@@ -644,31 +2868,288 @@ makerBot.on('text', async (ctx) => {
   }
 });
 
-// /clear Command (Owner Only)
-makerBot.command('clear', async (ctx) => {
+// Handle Non-Text Input (broadcast content such as media, albums or polls)
+makerBot.on('message', async (ctx) => {
   const userId = ctx.from.id.toString();
-  if (userId !== OWNER_ID) {
-    console.log('Unauthorized access to /clear');
-    ctx.reply('❌ You are not authorized to use this command.');
-    return;
+  try {
+    const user = await User.findOne({ userId });
+    if (userId === OWNER_ID && user && BROADCAST_INPUT_STATES.includes(user.adminState)) {
+      await handleBroadcastInput(ctx, user);
+    } else if (userId === OWNER_ID && user?.adminState === 'awaiting_restore') {
+      await handleRestoreInput(ctx);
+    } else if (user?.step === 'transfer_bot') {
+      await handleTransferInput(ctx, user);
+    }
+  } catch (error) {
+    console.error('Error in message handler:', error);
+    ctx.reply('❌ An error occurred. Please try again.', ownerAdminPanel);
   }
+});
+
+// REST API
+// Requests carry "Authorization: Bearer <key>" with a key issued from 🔑 API Key.
+// Responses are { ok: true, ...data } or { ok: false, error }.
+const MAX_API_CHANNELS = 5;
+
+const generateApiKey = () => `bm_${crypto.randomBytes(24).toString('hex')}`;
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+const apiError = (status, message) => Object.assign(new Error(message), { status });
+
+const authenticateApiRequest = async (req) => {
+  const apiKey = req.headers.authorization?.match(/^Bearer\s+(bm_[a-f0-9]+)$/)?.[1];
+  let user = apiKey ? await User.findOne({ apiKeyHash: hashApiKey(apiKey) }) : null;
+  if (!user) throw apiError(401, 'Invalid or missing API key');
+  if (await liftExpiredBan(User, { userId: user.userId })) user = await User.findOne({ userId: user.userId });
+  if (user.isBlocked) throw apiError(403, getBanNotice(user));
+  if (!getTier(user.tier).features.includes('api')) throw apiError(403, 'Your plan does not include the REST API');
+  return user;
+};
+
+// Finds a bot by its ID; only the owner may access bots created by others
+const getApiBot = async (user, botId) => {
+  const bot = mongoose.isValidObjectId(botId) ? await Bot.findById(botId) : null;
+  if (!bot || (bot.creatorId !== user.userId && user.userId !== OWNER_ID)) throw apiError(404, 'Bot not found');
+  return bot;
+};
+
+const serializeBot = (bot) => ({
+  id: bot._id.toString(),
+  username: bot.username,
+  creatorId: bot.creatorId,
+  template: bot.template,
+  createdAt: new Date(bot.createdAt * 1000).toISOString(),
+});
+
+const serializeBroadcast = (job) => ({
+  id: job._id.toString(),
+  status: job.status,
+  total: job.total,
+  sentCount: job.sentCount,
+  failCount: job.failCount,
+  createdAt: new Date(job.createdAt * 1000).toISOString(),
+  finishedAt: job.finishedAt ? new Date(job.finishedAt * 1000).toISOString() : null,
+});
+
+const getBotStats = async (bot) => {
+  const botToken = getBotKey(bot);
+  const [totalUsers, joinedUsers, activeUsers, blockedTheBot, bannedByAdmin] = await Promise.all([
+    BotUser.countDocuments({ botToken }),
+    BotUser.countDocuments({ botToken, hasJoined: true }),
+    BotUser.countDocuments({ botToken, hasJoined: true, isBlocked: false, isActive: { $ne: false } }),
+    BotUser.countDocuments({ botToken, hasJoined: true, isBlocked: false, isActive: false }),
+    BotUser.countDocuments({ botToken, hasJoined: true, isBlocked: true }),
+  ]);
+  return { totalUsers, joinedUsers, activeUsers, blockedTheBot, bannedByAdmin };
+};
+
+// Same normalization as the 🔗 Manage Channels input of created bots
+const normalizeChannelUrl = (input) => {
+  let url = String(input || '').trim().replace(/^(https?:\/\/)?/i, '').replace(/^@/, '').replace(/\/+$/, '');
+  if (!/^t\.me\//i.test(url)) url = `t.me/${url}`;
+  return /^t\.me\/.+$/i.test(url) ? `https://${url}` : null;
+};
+
+const parseApiButtons = (buttons) => {
+  if (buttons === undefined) return undefined;
+  const valid = Array.isArray(buttons) && buttons.length > 0 && buttons.every((row) => Array.isArray(row) && row.length > 0 &&
+    row.every((button) => typeof button?.text === 'string' && button.text.trim() && /^(https?|tg):\/\/\S+$/i.test(button.url || '')));
+  if (!valid) throw apiError(400, 'buttons must be rows of { text, url } URL buttons');
+  return buttons.map((row) => row.map((button) => ({ text: button.text.trim(), url: button.url })));
+};
+
+const apiRoutes = [
+  ['GET', /^\/api\/bots$/, async ({ user }) => {
+    const bots = await Bot.find({ creatorId: user.userId }).sort({ createdAt: 1 });
+    return { bots: bots.map(serializeBot) };
+  }],
+  ['POST', /^\/api\/bots$/, async ({ user, body }) => {
+    if (typeof body.token !== 'string') throw apiError(400, 'token is required');
+    if (body.template !== undefined && !templates[body.template]) {
+      throw apiError(400, `template must be one of: ${Object.keys(templates).join(', ')}`);
+    }
+    const { bot, error } = await createBotFromToken({
+      token: body.token.trim(),
+      creatorId: user.userId,
+      creatorName: user.username || user.userId,
+      template: body.template,
+    });
+    if (error === 'invalid_token') throw apiError(400, 'Invalid bot token');
+    if (error === 'quota_reached') throw apiError(403, 'Bot quota reached');
+    if (error === 'token_in_use') throw apiError(409, 'This bot token is already in use');
+    if (error === 'bot_exists') throw apiError(409, 'This bot is already registered; update its token instead');
+    if (error) throw apiError(502, 'Failed to set up the bot webhook');
+    return { status: 201, bot: serializeBot(bot) };
+  }],
+  ['GET', /^\/api\/bots\/([^/]+)$/, async ({ user, params }) => ({ bot: serializeBot(await getApiBot(user, params[0])) })],
+  ['DELETE', /^\/api\/bots\/([^/]+)$/, async ({ user, params }) => {
+    const bot = await getApiBot(user, params[0]);
+    await deleteBotData(bot);
+    return { deleted: serializeBot(bot) };
+  }],
+  ['GET', /^\/api\/bots\/([^/]+)\/stats$/, async ({ user, params }) => {
+    const bot = await getApiBot(user, params[0]);
+    return { bot: serializeBot(bot), stats: await getBotStats(bot) };
+  }],
+  ['PUT', /^\/api\/bots\/([^/]+)\/channels$/, async ({ user, params, body }) => {
+    const bot = await getApiBot(user, params[0]);
+    if (!Array.isArray(body.channels) || body.channels.length > MAX_API_CHANNELS) {
+      throw apiError(400, `channels must be a list of up to ${MAX_API_CHANNELS} channel URLs or { url, chatId } objects`);
+    }
+    const channels = body.channels.map((channel) => {
+      const url = normalizeChannelUrl(typeof channel === 'string' ? channel : channel?.url);
+      const chatId = typeof channel === 'object' ? channel?.chatId : undefined;
+      if (!url || (chatId !== undefined && !/^-100\d+$/.test(String(chatId)))) {
+        throw apiError(400, `Invalid channel: ${JSON.stringify(channel)}`);
+      }
+      return chatId !== undefined ? { url, chatId: String(chatId) } : { url };
+    });
+    await ChannelUrl.findOneAndUpdate(
+      { botToken: getBotKey(bot) },
+      { botToken: getBotKey(bot), channels, $unset: { url: 1, chatId: 1 } },
+      { upsert: true, setDefaultsOnInsert: false }
+    );
+    return { channels };
+  }],
+  ['POST', /^\/api\/bots\/([^/]+)\/broadcasts$/, async ({ user, params, body }) => {
+    const bot = await getApiBot(user, params[0]);
+    if (typeof body.text !== 'string' || !body.text.trim() || body.text.length > 4096) {
+      throw apiError(400, 'text is required (up to 4096 characters)');
+    }
+    if (body.entities !== undefined && !Array.isArray(body.entities)) throw apiError(400, 'entities must be a list');
+    const buttons = parseApiButtons(body.buttons);
+
+    const creator = bot.creatorId === user.userId ? user : await User.findOne({ userId: bot.creatorId });
+    const maxBroadcastUsers = getBroadcastLimit(getTier(creator?.tier), bot);
+    const userCount = await BotUser.countDocuments({ botToken: getBotKey(bot), hasJoined: true, isBlocked: false, isActive: { $ne: false } });
+    if (maxBroadcastUsers !== null && userCount > maxBroadcastUsers) {
+      throw apiError(403, `The plan of this bot's creator allows broadcasts to up to ${maxBroadcastUsers} users`);
+    }
 
+    const job = await BroadcastJob.create({
+      scope: 'bot',
+      botToken: getBotKey(bot),
+      adminId: user.userId,
+      message: { text: body.text, entities: body.entities },
+      buttons,
+      status: 'starting',
+    });
+    await startBroadcastJob(job);
+    await triggerBroadcastWorker();
+    return { status: 202, broadcast: { ...serializeBroadcast(job), botId: bot._id.toString() } };
+  }],
+  ['GET', /^\/api\/broadcasts\/([^/]+)$/, async ({ user, params }) => {
+    const job = mongoose.isValidObjectId(params[0]) ? await BroadcastJob.findById(params[0]) : null;
+    if (!job || (job.adminId !== user.userId && user.userId !== OWNER_ID)) throw apiError(404, 'Broadcast not found');
+    const bot = job.botToken ? await findBotByKey(job.botToken).select('_id') : null;
+    return { broadcast: { ...serializeBroadcast(job), botId: bot?._id.toString() || null } };
+  }],
+
+  // Owner only
+  ['GET', /^\/api\/admin\/stats$/, async () => {
+    const [activeUsers, blockedTheBot, bannedByAdmin, totalBots, totalBotUsers] = await Promise.all([
+      User.countDocuments({ isBlocked: false, isActive: { $ne: false } }),
+      User.countDocuments({ isBlocked: false, isActive: false }),
+      User.countDocuments({ isBlocked: true }),
+      Bot.countDocuments(),
+      BotUser.countDocuments(),
+    ]);
+    return { stats: { activeUsers, blockedTheBot, bannedByAdmin, totalBots, totalBotUsers } };
+  }, { ownerOnly: true }],
+  ['GET', /^\/api\/admin\/bots$/, async ({ query }) => {
+    const filter = query.creatorId ? { creatorId: String(query.creatorId) } : {};
+    const bots = await Bot.find(filter).sort({ createdAt: 1 }).limit(1000);
+    return { bots: bots.map(serializeBot) };
+  }, { ownerOnly: true }],
+  // Block body: { duration: '7d' or 'permanent', reason, global }
+  ['POST', /^\/api\/admin\/users\/(\d+)\/(block|unblock)$/, async ({ user, params, body }) => {
+    const [targetUserId, action] = params;
+    if (targetUserId === OWNER_ID) throw apiError(400, 'You cannot block yourself');
+    if (!await User.exists({ userId: targetUserId })) throw apiError(404, 'User not found');
+
+    if (action === 'block') {
+      const duration = body.duration === undefined ? null : parseBanDuration(body.duration);
+      if (duration === undefined) throw apiError(400, 'duration must look like 30m, 12h, 7d or 2w, or be "permanent"');
+      const reason = typeof body.reason === 'string' && body.reason.trim() ? body.reason.trim().slice(0, 200) : undefined;
+      await banUser({ userId: targetUserId, issuedBy: user.userId, duration, reason, global: body.global === true });
+    } else {
+      await unbanUser({ userId: targetUserId, issuedBy: user.userId });
+    }
+    const targetUser = await User.findOne({ userId: targetUserId }).lean();
+    return {
+      user: { userId: targetUser.userId, username: targetUser.username, isBlocked: targetUser.isBlocked, ban: targetUser.ban || null },
+    };
+  }, { ownerOnly: true }],
+];
+
+const handleApiRequest = async (req, res) => {
+  const [path, queryString = ''] = req.url.split('?');
+  const route = apiRoutes.find(([method, pattern]) => method === req.method && pattern.test(path));
   try {
-    await Bot.deleteMany({});
-    await BotUser.deleteMany({});
-    await ChannelUrl.deleteMany({});
-    await User.deleteMany({});
-    console.log('All data cleared successfully');
-    ctx.reply('✅ All data has been cleared. Bot Maker is reset.');
+    if (!route) throw apiError(404, 'Not found');
+    const [, pattern, handler, options = {}] = route;
+    const user = await authenticateApiRequest(req);
+    if (options.ownerOnly && user.userId !== OWNER_ID) throw apiError(403, 'Owner only');
+
+    const { status = 200, ...data } = await handler({
+      user,
+      params: path.match(pattern).slice(1),
+      query: req.query || Object.fromEntries(new URLSearchParams(queryString)),
+      body: req.body && typeof req.body === 'object' ? req.body : {},
+    });
+    res.status(status).json({ ok: true, ...data });
   } catch (error) {
-    console.error('Error during /clear:', error);
-    ctx.reply('❌ Failed to clear data. Please try again.');
+    if (!error.status) console.error('Error in REST API:', error);
+    res.status(error.status || 500).json({ ok: false, error: error.status ? error.message : 'Internal error' });
   }
-});
+};
+
+// Cron endpoints send broadcasts and touch webhooks, so they refuse every request without the secret
+const isCronRequest = (req) => Boolean(CRON_SECRET) && req.headers.authorization === `Bearer ${CRON_SECRET}`;
 
 // Vercel Handler
 module.exports = async (req, res) => {
   try {
+    // REST API for scripts, authenticated with per-user API keys
+    if (req.url.startsWith('/api/')) {
+      await handleApiRequest(req, res);
+      return;
+    }
+
+    // Bot health monitor, called by the Vercel cron
+    if (req.url.startsWith('/health-monitor')) {
+      if (!isCronRequest(req)) {
+        res.status(401).json({ ok: false, error: 'Unauthorized' });
+        return;
+      }
+      const result = await runHealthMonitor();
+      res.status(200).json({ ok: true, ...result });
+      return;
+    }
+
+    // Broadcast worker, called by the Vercel cron and by triggerBroadcastWorker
+    if (req.url.startsWith('/broadcast-worker')) {
+      if (!isCronRequest(req)) {
+        res.status(401).json({ ok: false, error: 'Unauthorized' });
+        return;
+      }
+      const result = await runBroadcastWorker();
+      res.status(200).json({ ok: true, ...result });
+      return;
+    }
+
+    // Scheduled broadcast dispatcher, called by the Vercel cron
+    if (req.url.startsWith('/broadcast-scheduler')) {
+      if (!isCronRequest(req)) {
+        res.status(401).json({ ok: false, error: 'Unauthorized' });
+        return;
+      }
+      const result = await dispatchScheduledBroadcasts();
+      res.status(200).json({ ok: true, ...result });
+      return;
+    }
+
     if (req.method === 'POST') {
       await makerBot.handleUpdate(req.body);
       res.status(200).json({ ok: true });
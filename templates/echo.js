@@ -0,0 +1,27 @@
+// Echo Template: sends every message back to the user
+const handleMessage = async ({ bot, chatId, message }) => {
+  if (message.text) {
+    await bot.telegram.sendMessage(chatId, message.text);
+  } else if (message.photo) {
+    const photo = message.photo[message.photo.length - 1].file_id;
+    await bot.telegram.sendPhoto(chatId, photo, { caption: message.caption || '' });
+  } else if (message.document) {
+    await bot.telegram.sendDocument(chatId, message.document.file_id, { caption: message.caption || '' });
+  } else if (message.video) {
+    await bot.telegram.sendVideo(chatId, message.video.file_id, { caption: message.caption || '' });
+  } else if (message.audio) {
+    await bot.telegram.sendAudio(chatId, message.audio.file_id, { caption: message.caption || '' });
+  } else if (message.voice) {
+    await bot.telegram.sendVoice(chatId, message.voice.file_id);
+  } else if (message.sticker) {
+    await bot.telegram.sendSticker(chatId, message.sticker.file_id);
+  } else {
+    await bot.telegram.sendMessage(chatId, 'Unsupported message type');
+  }
+};
+
+module.exports = {
+  name: '🔁 Echo',
+  description: 'Sends every message back to the user.',
+  handleMessage,
+};
@@ -0,0 +1,28 @@
+// FAQ Template: answers questions from the list the creator manages in /panel
+const handleMessage = async ({ bot, botToken, chatId, message, models }) => {
+  const entries = await models.FaqEntry.find({ botToken }).sort({ createdAt: 1 }).lean();
+  if (entries.length === 0) {
+    await bot.telegram.sendMessage(chatId, 'ℹ️ No questions have been added yet.');
+    return;
+  }
+
+  const question = message.text?.trim().toLowerCase();
+  const entry = question && entries.find((faq) => faq.question.toLowerCase() === question);
+  if (entry) {
+    await bot.telegram.sendMessage(chatId, entry.answer, { entities: entry.entities });
+    return;
+  }
+
+  await bot.telegram.sendMessage(chatId, '❓ Choose a question:', {
+    reply_markup: {
+      keyboard: entries.map((faq) => [{ text: faq.question }]),
+      resize_keyboard: true,
+    },
+  });
+};
+
+module.exports = {
+  name: '❓ FAQ',
+  description: 'Shows your questions as buttons and replies with their answers.',
+  handleMessage,
+};
@@ -0,0 +1,39 @@
+// File Sharing Template: sends the file stored under the code a user sends
+const sendSharedFile = (bot, chatId, file) => {
+  const extra = { caption: file.caption || '' };
+  switch (file.fileType) {
+    case 'photo': return bot.telegram.sendPhoto(chatId, file.fileId, extra);
+    case 'video': return bot.telegram.sendVideo(chatId, file.fileId, extra);
+    case 'audio': return bot.telegram.sendAudio(chatId, file.fileId, extra);
+    case 'voice': return bot.telegram.sendVoice(chatId, file.fileId, extra);
+    default: return bot.telegram.sendDocument(chatId, file.fileId, extra);
+  }
+};
+
+// Reads the file the creator uploaded in the shape stored in SharedFile, or null if there is none
+const getSharedFileFromMessage = (message) => {
+  if (message.photo) {
+    return { fileType: 'photo', fileId: message.photo[message.photo.length - 1].file_id, caption: message.caption };
+  }
+  const fileType = ['document', 'video', 'audio', 'voice'].find((type) => message[type]);
+  return fileType ? { fileType, fileId: message[fileType].file_id, caption: message.caption } : null;
+};
+
+const handleMessage = async ({ bot, botToken, chatId, message, models }) => {
+  const code = message.text?.trim().toUpperCase();
+  const file = code && await models.SharedFile.findOne({ botToken, code }).lean();
+  if (!file) {
+    await bot.telegram.sendMessage(chatId, code ? '❌ No file found for this code.' : '📁 Send a file code to get the file.');
+    return;
+  }
+
+  await sendSharedFile(bot, chatId, file);
+};
+
+module.exports = {
+  name: '📁 File Sharing',
+  description: 'Stores files you upload and sends them to users who enter their code.',
+  handleMessage,
+  sendSharedFile,
+  getSharedFileFromMessage,
+};
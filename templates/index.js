@@ -0,0 +1,14 @@
+// Behaviors a created bot can have once a user passes the join gate.
+// Each template exports a name, a description and handleMessage(context).
+const echo = require('./echo');
+const support = require('./support');
+const faq = require('./faq');
+const files = require('./files');
+
+const templates = { echo, support, faq, files };
+
+const DEFAULT_TEMPLATE = 'echo';
+
+const getTemplate = (key) => templates[key] || templates[DEFAULT_TEMPLATE];
+
+module.exports = { templates, DEFAULT_TEMPLATE, getTemplate };
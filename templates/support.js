@@ -0,0 +1,80 @@
+// Support Template: relays user messages to the bot creator and the creator's replies back
+const buildSenderHeader = (botUser, from, isNewConversation) => {
+  const name = [from.first_name, from.last_name].filter(Boolean).join(' ');
+  return `${isNewConversation ? '🆕 New conversation\n' : ''}` +
+         `👤 From: ${name}${from.username ? ` (@${from.username})` : ''}\n` +
+         `🆔 User ID: ${botUser.userId}\n\n` +
+         'Reply to this message to answer.';
+};
+
+// Close/Mute buttons under each sender header
+const buildSupportControls = (botUser) => ({
+  reply_markup: {
+    inline_keyboard: [[
+      { text: '🔒 Close', callback_data: `sup:close:${botUser.userId}` },
+      botUser.supportMuted
+        ? { text: '🔔 Unmute', callback_data: `sup:unmute:${botUser.userId}` }
+        : { text: '🔇 Mute', callback_data: `sup:mute:${botUser.userId}` },
+    ]],
+  },
+});
+
+const handleMessage = async ({ bot, botInfo, botUser, botToken, chatId, message, models }) => {
+  if (botUser.userId === botInfo.creatorId) {
+    await bot.telegram.sendMessage(chatId, 'ℹ️ Messages from your users will appear here. Reply to one of them to answer.');
+    return;
+  }
+
+  const isNewConversation = botUser.supportStatus !== 'open';
+  if (isNewConversation) {
+    botUser.supportStatus = 'open';
+    await botUser.save();
+  }
+
+  // Muted conversations are still delivered, just without a notification
+  const extra = { disable_notification: botUser.supportMuted };
+  const header = await bot.telegram.sendMessage(botInfo.creatorId,
+    buildSenderHeader(botUser, message.from, isNewConversation),
+    { ...extra, ...buildSupportControls(botUser) }
+  );
+  const relayed = await bot.telegram.copyMessage(botInfo.creatorId, chatId, message.message_id, {
+    ...extra,
+    reply_to_message_id: header.message_id,
+  });
+  await models.SupportMessage.insertMany([
+    { botToken, userId: botUser.userId, messageId: header.message_id },
+    { botToken, userId: botUser.userId, messageId: relayed.message_id },
+  ]);
+
+  if (isNewConversation) {
+    await bot.telegram.sendMessage(chatId, '✅ Your message has been sent. We will get back to you soon.');
+  }
+};
+
+// Delivers a creator's reply to a relayed message to the user it came from
+const handleCreatorReply = async ({ bot, botToken, chatId, message, supportMessage, models }) => {
+  try {
+    await bot.telegram.copyMessage(supportMessage.userId, chatId, message.message_id);
+  } catch (error) {
+    if (error.response?.error_code !== 403) throw error;
+    await models.BotUser.updateOne(
+      { botToken, userId: supportMessage.userId },
+      { isActive: false, inactiveReason: 'blocked', inactiveAt: Math.floor(Date.now() / 1000) }
+    );
+    await bot.telegram.sendMessage(chatId, '❌ This user has blocked the bot, so the reply was not delivered.', {
+      reply_to_message_id: message.message_id,
+    });
+    return;
+  }
+
+  await models.BotUser.updateOne({ botToken, userId: supportMessage.userId }, { supportStatus: 'open' });
+  await bot.telegram.sendMessage(chatId, '✅ Reply sent.', { reply_to_message_id: message.message_id });
+};
+
+module.exports = {
+  name: '💬 Support',
+  description: 'Relays user messages to you and your replies back to them, like a support desk.',
+  handleMessage,
+  handleCreatorReply,
+  buildSupportControls,
+};
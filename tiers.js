@@ -0,0 +1,37 @@
+// Plans of Bot Maker users, granted by the owner from the admin panel.
+// maxBots never goes below the default quota set by the owner, so raising that quota raises
+// every plan; null means the default quota. A null maxBroadcastUsers means no limit.
+// Daily and weekly schedules were available to everyone before plans existed, so free keeps them.
+const tiers = {
+  free: {
+    name: '🆓 Free',
+    maxBots: null,
+    maxBroadcastUsers: 1000,
+    features: ['api', 'repeat'],
+  },
+  pro: {
+    name: '⭐ Pro',
+    maxBots: 20,
+    maxBroadcastUsers: null,
+    features: ['api', 'repeat'],
+  },
+};
+
+const DEFAULT_TIER = 'free';
+
+const FEATURE_NAMES = {
+  api: 'REST API',
+  repeat: 'Daily and weekly repeating broadcasts',
+};
+
+const getTier = (key) => tiers[key] || tiers[DEFAULT_TIER];
+
+// Bots created before broadcast limits existed keep broadcasting to all their users
+const BROADCAST_LIMIT_SINCE = Math.floor(Date.UTC(2026, 9, 20) / 1000);
+
+// Most users a bot may broadcast to under its creator's tier, or null for no limit
+const getBroadcastLimit = (tier, bot) => (bot.createdAt < BROADCAST_LIMIT_SINCE ? null : tier.maxBroadcastUsers);
+
+const getBotLimit = (tier, defaultBotQuota) => Math.max(tier.maxBots ?? 0, defaultBotQuota);
+
+module.exports = { tiers, DEFAULT_TIER, FEATURE_NAMES, BROADCAST_LIMIT_SINCE, getTier, getBroadcastLimit, getBotLimit };